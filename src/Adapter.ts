@@ -1,6 +1,18 @@
 import { DB } from "./DB";
 import { Table } from "./Table";
 import { Query } from "./Query";
+import {
+    NotFoundError,
+    DatabaseError,
+    UniqueConstraintError,
+    ForeignKeyConstraintError,
+    NotNullConstraintError,
+    DeadlockError,
+    ConnectionError,
+    QueryTimeoutError
+} from "./Errors";
+import { FieldConfig, ForeignKeyConfig, IndexConfig } from "./interfaces";
+import assign = require("lodash/assign");
 import HideProtectedProperties = require("hide-protected-properties");
 
 @HideProtectedProperties
@@ -8,6 +20,20 @@ export abstract class Adapter {
     connection: any = null;
     quote: string = "'";
     backquote: string | [string, string] = "`";
+    /** Whether DDL statements can be rolled back in a transaction. */
+    transactionalDDL: boolean = false;
+    /**
+     * The depth of (nested) transactions on the connection, `0` if no
+     * transaction is open.
+     */
+    transactionLevel: number = 0;
+    /** @private Callbacks waiting for the transaction to end. */
+    private _callbacks: Array<{
+        level: number,
+        event: "commit" | "rollback",
+        db: DB,
+        fn: (db: DB) => any
+    }> = [];
 
     abstract connect(db: DB): Promise<DB>;
     abstract query(db: DB, sql: string, bindings?: any[]): Promise<DB>;
@@ -19,37 +45,305 @@ export abstract class Adapter {
         throw new ReferenceError("Static method Adapter.close() is not implemented.");
     }
 
-    transaction(db: DB, cb: (db: DB) => any): Promise<DB> {
+    /**
+     * Begins a transaction, or creates a savepoint if a transaction is
+     * already open, so that a nested transaction only rolls back to it.
+     */
+    transaction(
+        db: DB,
+        cb: (db: DB) => any,
+        options?: DB.TransactionOptions
+    ): Promise<DB> {
         if (typeof cb == "function") {
-            return db.query("begin").then(db => {
-                let res = cb.call(db, db);
-                if (res && res.then instanceof Function) { // Promise
-                    return res.then(() => db) as Promise<DB>;
-                } else {
-                    return db;
-                }
-            }).then(db => {
-                return this.commit(db);
-            }).catch(err => {
-                return this.rollback(db).then(() => {
-                    throw err;
+            return this.transaction(db, null, options).then(db => {
+                let level = this.transactionLevel;
+
+                return Promise.resolve(db).then(db => {
+                    let res = cb.call(db, db);
+                    if (res && res.then instanceof Function) { // Promise
+                        return res.then(() => db) as Promise<DB>;
+                    } else {
+                        return db;
+                    }
+                }).then(db => {
+                    return this.commit(db);
+                }).catch(err => {
+                    // The transaction has already ended if an after-commit
+                    // callback failed.
+                    if (this.transactionLevel !== level)
+                        throw err;
+
+                    return this.rollback(db).then(() => {
+                        throw err;
+                    });
                 });
             });
+        } else if (this.transactionLevel > 0) {
+            let name = getSavepointName(this.transactionLevel + 1);
+
+            return this.savepoint(db, name).then(db => {
+                this.transactionLevel++;
+                return db;
+            });
+        } else {
+            let statements: string[];
+
+            try {
+                statements = this.getBeginSQL(options || {});
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            return runStatements(db, statements).then(db => {
+                this.transactionLevel = 1;
+                return db;
+            });
+        }
+    }
+
+    /**
+     * Gets the statements that begin a transaction with the given options,
+     * e.g. `set transaction isolation level serializable, read only`.
+     */
+    getBeginSQL(options: DB.TransactionOptions): string[] {
+        let characteristics: string[] = [];
+
+        if (options.isolation) {
+            if (IsolationLevels.indexOf(options.isolation) === -1) {
+                throw new TypeError(`Isolation level '${options.isolation}' `
+                    + "is not supported.");
+            }
+
+            characteristics.push("isolation level " + options.isolation);
+        }
+
+        if (options.readOnly)
+            characteristics.push("read only");
+
+        if (characteristics.length) {
+            return ["set transaction " + characteristics.join(", "), "begin"];
         } else {
-            return db.query("begin");
+            return ["begin"];
         }
     }
 
+    /**
+     * Commits the transaction, or releases the savepoint of a nested one,
+     * callbacks of the nested transaction are handed to the outer one. If
+     * committing fails, the transaction is still open and should be rolled
+     * back.
+     */
     commit(db: DB): Promise<DB> {
-        return db.query("commit");
+        let level = this.transactionLevel;
+
+        if (level > 1) {
+            return this.releaseSavepoint(db, getSavepointName(level)).then(db => {
+                this.transactionLevel = level - 1;
+
+                for (let item of this._callbacks) {
+                    if (item.level === level)
+                        item.level = level - 1;
+                }
+
+                return db;
+            });
+        } else {
+            return db.query("commit").then(db => {
+                this.transactionLevel = 0;
+                return this._settle(db, 1, "commit");
+            });
+        }
     }
 
+    /**
+     * Rolls the transaction back, or rolls back to the savepoint of a nested
+     * one. The transaction (or the nested one) is considered ended even if
+     * rolling back fails.
+     */
     rollback(db: DB): Promise<DB> {
-        return db.query("rollback");
+        let level = Math.max(this.transactionLevel, 1),
+            promise = level > 1
+                ? this.rollbackTo(db, getSavepointName(level))
+                : db.query("rollback");
+        let settle = () => {
+            this.transactionLevel = level - 1;
+            return this._settle(db, level, "rollback");
+        };
+
+        return promise.then(settle, err => {
+            return settle().then(() => {
+                throw err;
+            });
+        });
+    }
+
+    /**
+     * Calls the function after the current transaction is committed, or
+     * immediately if no transaction is open.
+     */
+    afterCommit(db: DB, fn: (db: DB) => any): Promise<DB> {
+        return this._enqueue(db, "commit", fn);
+    }
+
+    /**
+     * Calls the function after the current transaction is rolled back, or
+     * immediately if no transaction is open.
+     */
+    afterRollback(db: DB, fn: (db: DB) => any): Promise<DB> {
+        return this._enqueue(db, "rollback", fn);
+    }
+
+    /** @private */
+    private _enqueue(
+        db: DB,
+        event: "commit" | "rollback",
+        fn: (db: DB) => any
+    ): Promise<DB> {
+        if (this.transactionLevel > 0) {
+            this._callbacks.push({ level: this.transactionLevel, event, db, fn });
+            return Promise.resolve(db);
+        } else {
+            return Promise.resolve(fn.call(db, db)).then(() => db);
+        }
+    }
+
+    /**
+     * @private Removes the callbacks of the given level and deeper, and
+     * calls those of the event one by one.
+     */
+    private _settle(
+        db: DB,
+        level: number,
+        event: "commit" | "rollback"
+    ): Promise<DB> {
+        let callbacks = this._callbacks.filter(item => item.level >= level);
+
+        this._callbacks = this._callbacks.filter(item => item.level < level);
+        callbacks = callbacks.filter(item => item.event === event);
+
+        let loop = (i: number): Promise<DB> => {
+            if (i === callbacks.length)
+                return Promise.resolve(db);
+
+            let { db: _db, fn } = callbacks[i];
+
+            return Promise.resolve(fn.call(_db, _db)).then(() => loop(i + 1));
+        };
+
+        return loop(0);
+    }
+
+    savepoint(db: DB, name: string): Promise<DB> {
+        return db.query("savepoint " + db.backquote(name));
+    }
+
+    rollbackTo(db: DB, name: string): Promise<DB> {
+        return db.query("rollback to savepoint " + db.backquote(name));
+    }
+
+    releaseSavepoint(db: DB, name: string): Promise<DB> {
+        return db.query("release savepoint " + db.backquote(name));
+    }
+
+    /**
+     * Checks if the error is caused by a deadlock, a lock wait timeout or a
+     * serialization failure, so that the transaction can be run again.
+     */
+    isRetryable(err: any): boolean {
+        if (err instanceof DatabaseError)
+            err = err.original;
+
+        if (!err) return false;
+
+        return RetryableCodes.indexOf(err.code) !== -1
+            || err.errno === 1213 // ER_LOCK_DEADLOCK
+            || err.errno === 1205 // ER_LOCK_WAIT_TIMEOUT
+            || err.sqlState === "40001";
+    }
+
+    /**
+     * Maps the driver error to one of the `DatabaseError` classes, errors
+     * that can't be recognized are wrapped in a base `DatabaseError`.
+     */
+    normalizeError(err: any, db: DB): Error {
+        if (!err || err instanceof DatabaseError)
+            return err;
+
+        let parsed: Adapter.ParsedError = this.parseError(err)
+            || { type: DatabaseError };
+
+        return new parsed.type(String(err.message || err), {
+            code: err.code,
+            sql: db.sql,
+            bindings: db.bindings,
+            table: parsed.table || getTableName(db),
+            constraint: parsed.constraint,
+            field: parsed.field,
+            original: err
+        });
+    }
+
+    /**
+     * Recognizes the driver error by its code and message, returns `null` if
+     * it's not a known one.
+     */
+    parseError(err: any): Adapter.ParsedError {
+        let message = String(err.message || "");
+
+        switch (err.code) {
+            case "ER_DUP_ENTRY":
+                // MySQL 8 prefixes the key with the table name.
+                let key = matchFirst(/for key '([^']+)'/, message),
+                    dot = key ? key.lastIndexOf(".") : -1;
+
+                return {
+                    type: UniqueConstraintError,
+                    table: dot > 0 ? key.slice(0, dot) : null,
+                    constraint: dot > 0 ? key.slice(dot + 1) : key
+                };
+
+            case "ER_NO_REFERENCED_ROW":
+            case "ER_NO_REFERENCED_ROW_2":
+            case "ER_ROW_IS_REFERENCED":
+            case "ER_ROW_IS_REFERENCED_2":
+                return {
+                    type: ForeignKeyConstraintError,
+                    table: matchFirst(/\(`[^`]+`\.`([^`]+)`/, message),
+                    constraint: matchFirst(/CONSTRAINT `([^`]+)`/, message),
+                    field: matchFirst(/FOREIGN KEY \(`([^`]+)`\)/, message)
+                };
+
+            case "ER_BAD_NULL_ERROR":
+            case "ER_NO_DEFAULT_FOR_FIELD":
+                return {
+                    type: NotNullConstraintError,
+                    field: matchFirst(/(?:Column|Field) '([^']+)'/, message)
+                };
+
+            case "ER_LOCK_DEADLOCK":
+                return { type: DeadlockError };
+
+            case "ER_LOCK_WAIT_TIMEOUT":
+            case "ER_QUERY_TIMEOUT":
+            case "PROTOCOL_SEQUENCE_TIMEOUT":
+                return { type: QueryTimeoutError };
+
+            case "ECONNREFUSED":
+            case "ECONNRESET":
+            case "ENOTFOUND":
+            case "ETIMEDOUT":
+            case "PROTOCOL_CONNECTION_LOST":
+            case "ER_ACCESS_DENIED_ERROR":
+            case "ER_CON_COUNT_ERROR":
+                return { type: ConnectionError };
+
+            default:
+                return null;
+        }
     }
 
     create(table: Table): Promise<Table> {
-        return table.query(table.getDDL());
+        return runStatements(table, this.getCreateDDL(table));
     }
 
     drop(table: Table): Promise<Table> {
@@ -57,6 +351,348 @@ export abstract class Adapter {
         return table.query(sql);
     }
 
+    /** Applies the alterations of the table statement by statement. */
+    alter(table: Table): Promise<Table> {
+        let statements: string[];
+
+        try {
+            statements = this.getAlterDDL(table);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return runStatements(table, statements);
+    }
+
+    /**
+     * Gets the statements that create the table, which is the DDL given by
+     * `getDDL()` with the table-level constraints appended, followed by the
+     * statements that create secondary indexes.
+     */
+    getCreateDDL(table: Table): string[] {
+        let sql = this.getDDL(table),
+            constraints: string[] = [],
+            statements: string[] = [];
+
+        for (let index of table.indexes) {
+            if (index.type == "index") {
+                statements.push(this.getIndexDDL(table, index));
+            } else {
+                constraints.push(this.getConstraintDDL(table, index));
+            }
+        }
+
+        if (constraints.length) {
+            let end = sql.lastIndexOf("\n)");
+
+            sql = sql.slice(0, end) + ",\n\t" + constraints.join(",\n\t")
+                + sql.slice(end);
+        }
+
+        return [sql].concat(statements);
+    }
+
+    /** Gets the table-level definition of a unique or primary constraint. */
+    getConstraintDDL(table: Table, index: IndexConfig): string {
+        let fields = index.fields.map(field => table.backquote(field)),
+            name = index.name,
+            sql = "";
+
+        if (!name && index.type != "primary")
+            name = getIndexName(table, index);
+
+        if (name)
+            sql += `constraint ${table.backquote(name)} `;
+
+        if (index.type == "primary") {
+            sql += "primary key";
+        } else {
+            sql += "unique";
+        }
+
+        return sql + ` (${fields.join(", ")})`;
+    }
+
+    /** Gets the statement that creates a secondary index. */
+    getIndexDDL(table: Table, index: IndexConfig): string {
+        let fields = index.fields.map(field => table.backquote(field)),
+            name = index.name || getIndexName(table, index);
+
+        return `create index ${table.backquote(name)} on `
+            + `${table.backquote(table.name)} (${fields.join(", ")})`;
+    }
+
+    /** Gets the statement that adds an index or constraint to a table. */
+    getAddIndexDDL(table: Table, index: IndexConfig): string {
+        if (index.type == "index") {
+            return this.getIndexDDL(table, index);
+        } else {
+            return `alter table ${table.backquote(table.name)} add `
+                + this.getConstraintDDL(table, index);
+        }
+    }
+
+    /** Gets the statement that drops an index or constraint of a table. */
+    getDropIndexDDL(table: Table, index: IndexConfig): string {
+        let name = table.backquote(table.name);
+
+        if (index.type == "primary") {
+            return `alter table ${name} drop primary key`;
+        } else {
+            let indexName = index.name || getIndexName(table, index);
+            return `drop index ${table.backquote(indexName)} on ${name}`;
+        }
+    }
+
+    /**
+     * Gets the statements that alter the table, the default implementation
+     * speaks the MySQL dialect, adapters should override it if their syntax
+     * is different.
+     */
+    getAlterDDL(table: Table): string[] {
+        let prefix = "alter table " + table.backquote(table.name) + " ";
+
+        return table["_alters"].map((alter: Table.Alteration) => {
+            let field = alter.field || table.schema[alter.name];
+
+            switch (alter.action) {
+                case "add":
+                    return prefix + "add column "
+                        + this.getColumnDDL(table, field);
+                case "modify":
+                    return prefix + "modify column "
+                        + this.getColumnDDL(table, field);
+                case "rename":
+                    return prefix + "rename column "
+                        + table.backquote(alter.name) + " to "
+                        + table.backquote(alter.newName);
+                case "drop":
+                    return prefix + "drop column "
+                        + table.backquote(alter.name);
+                case "addForeignKey":
+                    return prefix + "add "
+                        + this.getForeignKeyDDL(table, field);
+                case "dropForeignKey":
+                    return prefix + "drop foreign key "
+                        + table.backquote(alter.name);
+            }
+        });
+    }
+
+    /** Gets the definition of a column, used when altering tables. */
+    getColumnDDL(table: Table, field: FieldConfig): string {
+        let type = field.type;
+
+        if (field.length instanceof Array) {
+            type += "(" + field.length.join(",") + ")";
+        } else if (field.length) {
+            type += "(" + field.length + ")";
+        }
+
+        let column = table.backquote(field.name) + " " + type;
+
+        if (field.autoIncrement)
+            column += " auto_increment";
+
+        if (field.unique)
+            column += " unique";
+
+        if (field.unsigned)
+            column += " unsigned";
+
+        if (field.notNull)
+            column += " not null";
+
+        if (field.default === null)
+            column += " default null";
+        else if (field.default !== undefined)
+            column += " default " + table.quote(field.default);
+
+        if (field.comment)
+            column += " comment " + table.quote(field.comment);
+
+        return column;
+    }
+
+    /** Gets the foreign key constraint of a column. */
+    getForeignKeyDDL(table: Table, field: FieldConfig): string {
+        return "constraint " + table.backquote(field.name)
+            + ` foreign key (${table.backquote(field.name)})`
+            + " references " + table.backquote(field.foreignKey.table)
+            + " (" + table.backquote(field.foreignKey.field) + ")"
+            + " on delete " + field.foreignKey.onDelete
+            + " on update " + field.foreignKey.onUpdate;
+    }
+
+    /**
+     * Gets the names of all tables in the database, the default
+     * implementation reads the MySQL `information_schema`.
+     */
+    getTables(db: DB): Promise<string[]> {
+        let sql = "select `table_name` as `name` from `information_schema`.`tables`"
+            + " where `table_schema` = database() and `table_type` = ?"
+            + " order by `table_name`";
+
+        return db.query(sql, ["BASE TABLE"]).then(db => {
+            return db.data.map(row => <string>row.name);
+        });
+    }
+
+    /**
+     * Reads the columns, indexes and foreign keys of an existing table into
+     * `table.schema` and `table.indexes`, the default implementation reads
+     * the MySQL `information_schema`.
+     */
+    describe(table: Table): Promise<Table> {
+        let columns: Adapter.ColumnInfo[];
+        let indexes: Adapter.IndexInfo[] = [];
+        let where = " where `table_schema` = database() and `table_name` = ?";
+
+        return table.query("select `column_name` as `name`,"
+            + " `column_type` as `type`, `is_nullable` as `nullable`,"
+            + " `column_default` as `default`, `extra`,"
+            + " `column_comment` as `comment`"
+            + " from `information_schema`.`columns`" + where
+            + " order by `ordinal_position`", [table.name]).then(() => {
+                columns = table.data.map(row => (<Adapter.ColumnInfo>{
+                    name: row.name,
+                    type: row.type,
+                    notNull: row.nullable == "NO",
+                    default: row.default,
+                    autoIncrement: /auto_increment/i.test(row.extra),
+                    comment: row.comment
+                }));
+
+                return table.query("select `k`.`column_name` as `name`,"
+                    + " `k`.`referenced_table_name` as `table`,"
+                    + " `k`.`referenced_column_name` as `field`,"
+                    + " `r`.`delete_rule` as `onDelete`,"
+                    + " `r`.`update_rule` as `onUpdate`"
+                    + " from `information_schema`.`key_column_usage` as `k`"
+                    + " inner join `information_schema`.`referential_constraints` as `r`"
+                    + " on `r`.`constraint_schema` = `k`.`constraint_schema`"
+                    + " and `r`.`constraint_name` = `k`.`constraint_name`"
+                    + " where `k`.`table_schema` = database()"
+                    + " and `k`.`table_name` = ?", [table.name]);
+            }).then(() => {
+                for (let row of <any[]>table.data) {
+                    for (let column of columns) {
+                        if (column.name == row.name) {
+                            column.foreignKey = {
+                                table: row.table,
+                                field: row.field,
+                                onDelete: row.onDelete.toLowerCase(),
+                                onUpdate: row.onUpdate.toLowerCase()
+                            };
+                        }
+                    }
+                }
+
+                return table.query("select `index_name` as `name`,"
+                    + " `non_unique` as `nonUnique`, `column_name` as `field`"
+                    + " from `information_schema`.`statistics`" + where
+                    + " order by `index_name`, `seq_in_index`", [table.name]);
+            }).then(() => {
+                for (let row of <any[]>table.data) {
+                    let index = indexes.length ? indexes[indexes.length - 1] : null;
+
+                    if (!index || index.name != row.name) {
+                        index = {
+                            name: row.name,
+                            primary: row.name == "PRIMARY",
+                            unique: row.nonUnique == 0,
+                            fields: []
+                        };
+                        indexes.push(index);
+                    }
+
+                    index.fields.push(row.field);
+                }
+
+                return this.fillSchema(table, columns, indexes);
+            });
+    }
+
+    /**
+     * @protected Fills `table.schema` and `table.indexes` with the columns
+     * and indexes read from the database catalog.
+     */
+    protected fillSchema(
+        table: Table,
+        columns: Adapter.ColumnInfo[],
+        indexes: Adapter.IndexInfo[]
+    ): Table {
+        if (!columns.length)
+            throw new NotFoundError(`Table '${table.name}' doesn't exist.`);
+
+        table.schema = {};
+        table.indexes = [];
+
+        for (let column of columns) {
+            let matches = column.type.toLowerCase().match(
+                /^([a-z ]*?)\s*(?:\((\d+)(?:\s*,\s*(\d+))?\))?\s*(unsigned)?(?:\s|$)/
+            ) || [],
+                type = matches[1] || "",
+                length: FieldConfig["length"] = 0;
+
+            if (matches[3]) {
+                length = [Number(matches[2]), Number(matches[3])];
+            } else if (matches[2]) {
+                length = Number(matches[2]);
+            }
+
+            table.schema[column.name] = assign({}, FieldConfig, <FieldConfig>{
+                name: column.name,
+                type,
+                length,
+                notNull: column.notNull,
+                default: parseDefault(column.default, type, column.notNull),
+                autoIncrement: column.autoIncrement ? [1, 1] : false,
+                unsigned: !!matches[4],
+                comment: column.comment || "",
+                foreignKey: column.foreignKey
+                    ? assign({}, ForeignKeyConfig, column.foreignKey)
+                    : null
+            });
+        }
+
+        for (let index of indexes) {
+            // Expression indexes have no column names, they can't be
+            // described by the schema.
+            let covered = index.fields.every(name => !!name
+                && table.schema.hasOwnProperty(name));
+
+            if (!covered) continue;
+
+            let field = table.schema[index.fields[0]];
+
+            if (index.primary) {
+                // A primary key never defaults to null.
+                for (let name of index.fields) {
+                    if (table.schema[name].default === null)
+                        table.schema[name].default = undefined;
+                }
+
+                if (index.fields.length === 1)
+                    field.primary = true;
+                else
+                    table.primaryKey(index.fields);
+            } else if (index.unique) {
+                if (index.fields.length === 1)
+                    field.unique = true;
+                else
+                    table.uniqueIndex(index.fields, index.name);
+            } else if (index.fields.length > 1 || !field.foreignKey
+                || index.name != field.name) {
+                // MySQL implicitly indexes foreign keys with the constraint
+                // name, which is the field name if defined by Modelar.
+                table.index(index.fields, index.name);
+            }
+        }
+
+        return table;
+    }
+
     random(query: Query): Query {
         query["_orderBy"] = "random()";
         return query;
@@ -78,6 +714,7 @@ export abstract class Adapter {
             groupBy: string = query["_groupBy"],
             having: string = query["_having"],
             union: string = query["_union"],
+            lock = this.getLockSQL(query),
             limit: string;
         
         if(typeof query["_limit"] === "string")
@@ -95,6 +732,120 @@ export abstract class Adapter {
             (having ? " having " + having : "") +
             (union ? " union " + union : "") +
             (orderBy ? " order by " + orderBy : "") +
-            (limit ? " limit " + limit : "");
+            (limit ? " limit " + limit : "") +
+            (lock ? " " + lock : "");
+    }
+
+    /**
+     * Gets the locking clause of a select statement, e.g. `for update`, an
+     * empty string if the query doesn't lock rows.
+     */
+    getLockSQL(query: Query): string {
+        let lock: Query.Lock = query["_lock"];
+
+        if (!lock) {
+            return "";
+        } else if (lock.mode == "share" && !lock.skipLocked && !lock.noWait) {
+            // Compatible with MySQL 5.x, which doesn't support `for share`.
+            return "lock in share mode";
+        }
+
+        return (lock.mode == "share" ? "for share" : "for update")
+            + (lock.noWait ? " nowait" : "")
+            + (lock.skipLocked ? " skip locked" : "");
+    }
+}
+
+/** Converts the default value read from the database catalog. */
+function parseDefault(value: string, type: string, notNull: boolean): any {
+    if (value === null || value === undefined) {
+        return notNull ? undefined : null;
+    } else if (/^null$/i.test(value)) {
+        return null;
+    } else if (/^'.*'$/.test(value)) {
+        return value.slice(1, -1).split("''").join("'");
+    } else if (/int|dec|num|float|double|real/.test(type)
+        && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    } else {
+        return value;
+    }
+}
+
+/** Gets the name of the savepoint that a nested transaction creates. */
+function getSavepointName(level: number): string {
+    return "modelar_level_" + level;
+}
+
+/** Gets the table name of a Query, Model or Table instance. */
+function getTableName(db: DB): string {
+    if (typeof db["table"] == "string")
+        return db["table"] || null;
+    else if (typeof db["name"] == "string")
+        return db["name"] || null;
+    else
+        return null;
+}
+
+function matchFirst(re: RegExp, str: string): string {
+    let matches = re.exec(str);
+    return matches ? matches[1] : null;
+}
+
+const RetryableCodes = ["ER_LOCK_DEADLOCK", "ER_LOCK_WAIT_TIMEOUT"];
+
+const IsolationLevels = [
+    "serializable",
+    "repeatable read",
+    "read committed",
+    "read uncommitted"
+];
+
+/** Runs the statements one by one with the DB instance (or table). */
+function runStatements<T extends DB>(db: T, statements: string[]): Promise<T> {
+    let loop = (i: number): Promise<T> => {
+        if (i === statements.length)
+            return Promise.resolve(db);
+
+        return db.query(statements[i]).then(() => loop(i + 1));
+    };
+
+    return loop(0);
+}
+
+/** Generates the default name of an index, e.g. `users_name_email_unique`. */
+function getIndexName(table: Table, index: IndexConfig): string {
+    return `${table.name}_${index.fields.join("_")}_${index.type}`;
+}
+
+export namespace Adapter {
+    /** A column read from the database catalog. */
+    export interface ColumnInfo {
+        name: string;
+        /** The full column type, e.g. `int(10) unsigned`. */
+        type: string;
+        notNull: boolean;
+        /** The default value as it's stored in the catalog. */
+        default: string;
+        autoIncrement: boolean;
+        comment?: string;
+        foreignKey?: ForeignKeyConfig;
+    }
+
+    /** An index read from the database catalog. */
+    export interface IndexInfo {
+        name: string;
+        primary: boolean;
+        unique: boolean;
+        fields: string[];
+    }
+}
+
+export namespace Adapter {
+    export interface ParsedError {
+        type: typeof DatabaseError;
+        table?: string;
+        constraint?: string;
+        field?: string;
     }
-}
\ No newline at end of file
+}
@@ -3,6 +3,9 @@ import { MysqlAdapter } from "modelar-mysql-adapter";
 // import { PostgresAdapter } from "modelar-postgres-adapter";
 import { DBConfig } from "./interfaces";
 import { Adapter } from "./Adapter";
+import { SqliteAdapter } from "./SqliteAdapter";
+import { MockAdapter } from "./MockAdapter";
+import { Table } from "./Table";
 import HideProtectedProperties = require("hide-protected-properties");
 import assign = require("lodash/assign");
 
@@ -57,6 +60,8 @@ export class DB extends EventEmitter {
     static adapters: { [type: string]: typeof Adapter | any } = {
         mysql: MysqlAdapter,
         maria: MysqlAdapter,
+        sqlite: SqliteAdapter,
+        mock: MockAdapter,
         // postgres: PostgresAdapter,
     };
 
@@ -225,7 +230,9 @@ export class DB extends EventEmitter {
 
     /** Acquires a connection to the database. */
     connect(): Promise<this> {
-        return this.adapter.connect(this) as Promise<this>;
+        return this.adapter.connect(this).catch(err => {
+            throw this.adapter.normalizeError(err, this);
+        }) as Promise<this>;
     }
 
     /** An alias of `db.connect()`. */
@@ -291,24 +298,128 @@ export class DB extends EventEmitter {
             this.command = command;
             this.emit("query", this);
 
-            return this.adapter.query(this, this.sql, this.bindings);
+            return this.adapter.query(this, this.sql, this.bindings).catch(err => {
+                throw this.adapter.normalizeError(err, this);
+            });
         });
     }
 
     /**
-     * Begins transaction.
+     * Begins transaction, if a transaction is already open, a savepoint is
+     * created instead, and committing or rolling back the nested transaction
+     * only releases or rolls back to the savepoint.
      * 
      * @param cb If provided, the actions in this function will be automatically
      *  handled, that means if the program goes well, the transaction will be 
      *  automatically committed, otherwise it will be automatically rolled 
      *  back.
+     * @param options The isolation level and whether the transaction is read
+     *  only, they're ignored by a nested transaction. If `retries` is set and
+     *  `cb` is provided, the whole transaction will be run again when it
+     *  fails because of a deadlock, a lock wait timeout or a serialization
+     *  failure, and a `retry` event will be emitted before each attempt.
      */
-    transaction(cb?: (db: this) => any): Promise<this> {
+    transaction(options?: DB.TransactionOptions): Promise<this>;
+    transaction(
+        cb: (db: this) => any,
+        options?: DB.TransactionOptions
+    ): Promise<this>;
+    transaction(cb?, options?: DB.TransactionOptions) {
+        if (cb && typeof cb == "object") {
+            options = cb;
+            cb = null;
+        }
+
         return this.ensureConnect().then(() => {
-            return this.adapter.transaction(this, cb);
+            if (cb && options && options.retries > 0 && !this.inTransaction)
+                return this._transactWithRetries(cb, options);
+            else
+                return this.adapter.transaction(this, cb, options);
         }) as Promise<this>;
     }
 
+    /** @private */
+    private _transactWithRetries(
+        cb: (db: this) => any,
+        options: DB.TransactionOptions
+    ): Promise<this> {
+        let { retries, backoff } = options;
+        let loop = (attempt: number): Promise<this> => {
+            return this.adapter.transaction(this, cb, options).catch(err => {
+                if (attempt > retries || !this.adapter.isRetryable(err))
+                    throw err;
+
+                let delay = typeof backoff == "function"
+                    ? backoff(attempt)
+                    : (backoff || 0);
+
+                this.emit("retry", err, attempt);
+
+                return new Promise(resolve => {
+                    setTimeout(resolve, delay);
+                }).then(() => loop(attempt + 1));
+            }) as Promise<this>;
+        };
+
+        return loop(1);
+    }
+
+    /** Whether a transaction is open on the connection. */
+    get inTransaction(): boolean {
+        return this.adapter.transactionLevel > 0;
+    }
+
+    /**
+     * Creates a savepoint in the current transaction, which can be rolled
+     * back to by `db.rollbackTo()`.
+     */
+    savepoint(name: string): Promise<this> {
+        return this.ensureConnect().then(() => {
+            return this.adapter.savepoint(this, name) as Promise<this>;
+        });
+    }
+
+    /** Rolls the transaction back to the given savepoint. */
+    rollbackTo(name: string): Promise<this> {
+        return this.ensureConnect().then(() => {
+            return this.adapter.rollbackTo(this, name) as Promise<this>;
+        });
+    }
+
+    /** Releases the given savepoint without rolling back. */
+    releaseSavepoint(name: string): Promise<this> {
+        return this.ensureConnect().then(() => {
+            return this.adapter.releaseSavepoint(this, name) as Promise<this>;
+        });
+    }
+
+    /**
+     * Calls the function after the current transaction is committed, if the
+     * transaction is rolled back, it's never called. If no transaction is
+     * open, the function is called immediately.
+     * 
+     * Callbacks registered in a nested transaction wait for the outermost
+     * transaction to be committed.
+     */
+    afterCommit(fn: (db: this) => any): Promise<this> {
+        return this.ensureConnect().then(() => {
+            return this.adapter.afterCommit(this, fn) as Promise<this>;
+        });
+    }
+
+    /**
+     * Calls the function after the current transaction is rolled back, or
+     * immediately if no transaction is open.
+     * 
+     * Callbacks registered in a nested transaction are called once the
+     * nested one or any transaction that contains it is rolled back.
+     */
+    afterRollback(fn: (db: this) => any): Promise<this> {
+        return this.ensureConnect().then(() => {
+            return this.adapter.afterRollback(this, fn) as Promise<this>;
+        });
+    }
+
     /** Commits the transaction when things going well. */
     commit(): Promise<this> {
         return this.ensureConnect().then(() => {
@@ -323,6 +434,34 @@ export class DB extends EventEmitter {
         });
     }
 
+    /**
+     * Gets all tables in the database, every table is described with its
+     * schema, indexes and foreign keys.
+     */
+    getTables(): Promise<Table[]> {
+        // Table extends DB, so it has to be required lazily.
+        let TableClass: typeof Table = require("./Table").Table;
+
+        return this.ensureConnect().then(() => {
+            return this.adapter.getTables(this);
+        }).then(names => {
+            let tables: Table[] = [],
+                loop = (): Promise<Table[]> => {
+                    if (tables.length === names.length)
+                        return Promise.resolve(tables);
+
+                    let table = new TableClass(names[tables.length]).use(this);
+
+                    return table.describe().then(table => {
+                        tables.push(table);
+                        return loop();
+                    });
+                };
+
+            return loop();
+        });
+    }
+
     /**
      * Releases the connection.
      * @alias DB.recycle()
@@ -478,6 +617,24 @@ export namespace DB {
         callSite: TemplateStringsArray,
         ...bindings: any[]
     ) => Identifier;
+
+    export interface TransactionOptions {
+        isolation?: "serializable" | "repeatable read" | "read committed"
+        | "read uncommitted";
+        /** Whether the transaction can't modify any data. */
+        readOnly?: boolean;
+        /**
+         * How many times the transaction can be run again when it fails
+         * because of a deadlock, a lock wait timeout or a serialization
+         * failure.
+         */
+        retries?: number;
+        /**
+         * Milliseconds to wait before each retry, or a function that returns
+         * them according to the attempt number (starting from `1`).
+         */
+        backoff?: number | ((attempt: number) => number);
+    }
 }
 
 /**
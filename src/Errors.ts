@@ -28,4 +28,90 @@ export class InsertionError extends CustomError { }
 
 export class DeletionError extends CustomError { }
 
-export class NotFoundError extends CustomError {}
\ No newline at end of file
+export class NotFoundError extends CustomError {}
+
+/**
+ * Thrown when a model can't be updated or deleted because its version has
+ * been changed by another operation since it was fetched.
+ */
+export class StaleModelError extends CustomError { }
+
+/**
+ * Thrown in strict mode when data assigned to a model carries fields that are
+ * not mass assignable.
+ */
+export class MassAssignmentError extends CustomError { }
+
+/**
+ * Thrown when a model fails validation, `errors` carries the messages of
+ * every invalid field.
+ */
+export class ValidationError extends CustomError {
+    errors: { [field: string]: string[] };
+
+    constructor(message: string, errors: { [field: string]: string[] } = {}) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+/**
+ * The base class of errors mapped from the database driver by the adapter,
+ * the driver error is kept as `original`, as well as `cause`.
+ */
+export class DatabaseError extends CustomError {
+    /** The error code given by the driver, e.g. `ER_DUP_ENTRY`. */
+    code: string;
+    sql: string;
+    bindings: any[];
+    table: string;
+    /** The name of the violated constraint, if available. */
+    constraint: string;
+    /** The name of the field that caused the error, if available. */
+    field: string;
+    original: Error;
+    /** The same as `original`, following the standard `Error.cause`. */
+    cause: Error;
+
+    constructor(message: string, info: DatabaseError.Info = {}) {
+        super(message);
+        this.code = info.code || null;
+        this.sql = info.sql || null;
+        this.bindings = info.bindings || [];
+        this.table = info.table || null;
+        this.constraint = info.constraint || null;
+        this.field = info.field || null;
+        this.original = info.original || null;
+        this.cause = this.original;
+    }
+}
+
+export namespace DatabaseError {
+    export interface Info {
+        code?: string;
+        sql?: string;
+        bindings?: any[];
+        table?: string;
+        constraint?: string;
+        field?: string;
+        original?: Error;
+    }
+}
+
+/** Thrown when a record conflicts with a unique index or primary key. */
+export class UniqueConstraintError extends DatabaseError { }
+
+/** Thrown when a record breaks a foreign key constraint. */
+export class ForeignKeyConstraintError extends DatabaseError { }
+
+/** Thrown when `null` is given to a field that is `not null`. */
+export class NotNullConstraintError extends DatabaseError { }
+
+/** Thrown when the transaction is chosen as the victim of a deadlock. */
+export class DeadlockError extends DatabaseError { }
+
+/** Thrown when the connection can't be opened or is lost. */
+export class ConnectionError extends DatabaseError { }
+
+/** Thrown when a query or a lock wait takes too long. */
+export class QueryTimeoutError extends DatabaseError { }
@@ -0,0 +1,238 @@
+import * as fs from "fs";
+import * as path from "path";
+import { DB } from "./DB";
+import { Table } from "./Table";
+import { Query } from "./Query";
+
+/**
+ * *Migration Runner.*
+ *
+ * This class discovers migration modules in a directory, runs them in the
+ * order of their file names, and records the applied ones in a ledger table,
+ * so that a schema can be evolved (and reverted) over time.
+ *
+ * A migration module exports an `up()` and a `down()` function, both receive
+ * a DB instance and may return a promise. It's recommended to prefix the file
+ * name with a timestamp, e.g. `20190508120000_create_users.js`.
+ *
+ * When the adapter supports transactional DDL, every migration runs inside
+ * `db.transaction()`, so a failed migration leaves nothing behind.
+ */
+export class Migrator {
+    /** The DB instance that migrations run with. */
+    db: DB;
+
+    /** The directory where migration modules are stored. */
+    directory: string;
+
+    /** The ledger table that records applied migrations. */
+    ledger: string;
+
+    /**
+     * Creates a new migrator with a DB instance, the directory of migration
+     * modules and an optional ledger table name (default `migrations`).
+     */
+    constructor(db: DB, directory: string, ledger = "migrations") {
+        this.db = db;
+        this.directory = directory;
+        this.ledger = ledger;
+    }
+
+    /** Gets the migration modules in the directory, sorted by their names. */
+    getMigrations(): { [name: string]: Migrator.Migration } {
+        let extensions = require.extensions[".ts"] ? [".js", ".ts"] : [".js"],
+            migrations: { [name: string]: Migrator.Migration } = {},
+            files = fs.readdirSync(this.directory).filter(file => {
+                return extensions.indexOf(path.extname(file)) >= 0
+                    && !/\.d\.ts$/.test(file);
+            }).sort();
+
+        for (let file of files) {
+            let name = path.basename(file, path.extname(file)),
+                migration = require(path.resolve(this.directory, file));
+
+            if (migration.default && migration.default.up instanceof Function)
+                migration = migration.default;
+
+            if (!(migration.up instanceof Function)
+                || !(migration.down instanceof Function)) {
+                throw new TypeError(`Migration '${name}' must export an `
+                    + "up() and a down() function.");
+            }
+
+            migrations[name] = migration;
+        }
+
+        return migrations;
+    }
+
+    /** Runs all pending migrations in a new batch. */
+    migrate(): Promise<string[]> {
+        return this._getApplied().then(applied => {
+            let migrations = this.getMigrations(),
+                batch = 1,
+                names = Object.keys(migrations).filter(name => {
+                    return !applied.some(record => record.name == name);
+                });
+
+            for (let record of applied) {
+                batch = Math.max(batch, record.batch + 1);
+            }
+
+            return this._runEach(names, name => {
+                return this._run(migrations[name], "up", name, batch);
+            });
+        });
+    }
+
+    /** Reverts the last batch of migrations. */
+    rollback(): Promise<string[]> {
+        return this._getApplied().then(applied => {
+            let batch = applied.length ? applied[0].batch : 0;
+
+            return this._revert(applied.filter(record => {
+                return record.batch == batch;
+            }));
+        });
+    }
+
+    /** Reverts all applied migrations. */
+    reset(): Promise<string[]> {
+        return this._getApplied().then(applied => this._revert(applied));
+    }
+
+    /** Gets the status of every migration in the directory. */
+    status(): Promise<Migrator.Status[]> {
+        return this._getApplied().then(applied => {
+            let migrations = this.getMigrations();
+
+            return Object.keys(migrations).map(name => {
+                let record: Migrator.Record;
+
+                for (let _record of applied) {
+                    if (_record.name == name) {
+                        record = _record;
+                        break;
+                    }
+                }
+
+                return {
+                    name,
+                    migrated: record !== undefined,
+                    batch: record ? record.batch : null
+                };
+            });
+        });
+    }
+
+    /** @private */
+    private _revert(records: Migrator.Record[]): Promise<string[]> {
+        let migrations = this.getMigrations();
+
+        for (let record of records) {
+            if (migrations[record.name] === undefined) {
+                throw new ReferenceError(`Migration '${record.name}' is `
+                    + `not found in ${this.directory}.`);
+            }
+        }
+
+        return this._runEach(records.map(record => record.name), name => {
+            return this._run(migrations[name], "down", name);
+        });
+    }
+
+    /** @private Runs one migration and updates the ledger. */
+    private _run(
+        migration: Migrator.Migration,
+        direction: "up" | "down",
+        name: string,
+        batch?: number
+    ): Promise<any> {
+        let run = (db: DB) => {
+            return Promise.resolve(migration[direction](db)).then(() => {
+                let query = new Query(this.ledger).use(db);
+
+                if (direction == "up") {
+                    return query.insert({ name, batch });
+                } else {
+                    return query.where("name", name).delete();
+                }
+            });
+        };
+
+        if (this.db["adapter"].transactionalDDL) {
+            return this.db.transaction(run);
+        } else {
+            return run(this.db);
+        }
+    }
+
+    /** @private Runs the procedure for every name in sequence. */
+    private _runEach(
+        names: string[],
+        procedure: (name: string) => Promise<any>
+    ): Promise<string[]> {
+        let done: string[] = [],
+            loop = (): Promise<string[]> => {
+                if (done.length === names.length)
+                    return Promise.resolve(done);
+
+                let name = names[done.length];
+
+                return procedure(name).then(() => {
+                    done.push(name);
+                    return loop();
+                });
+            };
+
+        return loop();
+    }
+
+    /**
+     * @private Gets the applied migrations, newest first, the ledger table
+     * will be created if it doesn't exist.
+     */
+    private _getApplied(): Promise<Migrator.Record[]> {
+        let getRecords = () => {
+            return new Query(this.ledger).use(this.db)
+                .orderBy("id", "desc")
+                .all() as Promise<Migrator.Record[]>;
+        };
+
+        // Only the names are needed, describing every table is unnecessary.
+        return this.db["adapter"].getTables(this.db).then(names => {
+            if (names.indexOf(this.ledger) !== -1)
+                return getRecords();
+
+            let table = new Table(this.ledger).use(this.db);
+
+            table.addColumn("id").primary().autoIncrement();
+            table.addColumn("name", "varchar", 255).unique().notNull();
+            table.addColumn("batch", "int").notNull();
+
+            return table.save().then(getRecords);
+        });
+    }
+}
+
+export namespace Migrator {
+    export interface Migration {
+        /** Applies the migration. */
+        up(db: DB): any;
+        /** Reverts the migration. */
+        down(db: DB): any;
+    }
+
+    export interface Record {
+        id: number;
+        name: string;
+        batch: number;
+    }
+
+    export interface Status {
+        name: string;
+        migrated: boolean;
+        /** The batch that the migration is applied in, `null` if pending. */
+        batch: number;
+    }
+}
\ No newline at end of file
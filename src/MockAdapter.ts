@@ -0,0 +1,147 @@
+import { MysqlAdapter } from "modelar-mysql-adapter";
+import { DB } from "./DB";
+import { Adapter } from "./Adapter";
+import { Table } from "./Table";
+import { Query } from "./Query";
+import assign = require("lodash/assign");
+
+/**
+ * *Mock Adapter.*
+ *
+ * This adapter never touches a database, it records every statement passed
+ * to `adapter.query()` and answers with scripted results, which is useful for
+ * unit-testing code built on Query and Model. It speaks the MySQL dialect
+ * (the default database type), so the recorded SQL is exactly what would be
+ * sent to a MySQL server.
+ *
+ * @example
+ *  var db = new DB({ type: "mock" });
+ *  MockAdapter.of(db).respond({ data: [{ id: 1, name: "Ayon Lee" }] });
+ *  var user = await User.use(db).get(1);
+ *  MockAdapter.of(db).records; // [{ sql: "select * from ...", bindings: [1] }]
+ */
+export class MockAdapter extends Adapter {
+    /** Every statement passed to `adapter.query()`, in the order received. */
+    records: MockAdapter.Record[] = [];
+
+    /** @private */
+    private _results: Array<{
+        sql: string | RegExp,
+        result: MockAdapter.Result | Error
+    }> = [];
+
+    /**
+     * Scripts the result of the next query, results are consumed in the
+     * order they're scripted, if no result is left, the query gets an empty
+     * result.
+     *
+     * @param result If an error is given, the query will be rejected with
+     *  it, `db.query()` wraps it in a `DatabaseError` as `err.original`
+     *  unless it's a `DatabaseError` already.
+     */
+    respond(result: MockAdapter.Result | Error): this;
+    /**
+     * Scripts the result of the next query that matches the given SQL
+     * statement or pattern.
+     */
+    respond(sql: string | RegExp, result: MockAdapter.Result | Error): this;
+    respond(...args) {
+        if (args.length === 1) {
+            this._results.push({ sql: null, result: args[0] });
+        } else {
+            this._results.push({ sql: args[0], result: args[1] });
+        }
+        return this;
+    }
+
+    /** Clears all records and results that haven't been consumed. */
+    reset(): this {
+        this.records = [];
+        this._results = [];
+        return this;
+    }
+
+    connect(db: DB): Promise<DB> {
+        this.connection = this.connection || {};
+        return Promise.resolve(db);
+    }
+
+    query(db: DB, sql: string, bindings?: any[]): Promise<DB> {
+        this.records.push({ sql, bindings: [].concat(bindings || []) });
+
+        let result = this._shiftResult(sql);
+
+        if (result instanceof Error)
+            return Promise.reject(result);
+
+        if (result.data || db.command == "select" || db.command == "pragma") {
+            db.data = (result.data || []).map(row => assign({}, row));
+        }
+
+        db.insertId = result.insertId || 0;
+        db.affectedRows = result.affectedRows || 0;
+
+        return Promise.resolve(db);
+    }
+
+    /** @private */
+    private _shiftResult(sql: string): MockAdapter.Result | Error {
+        for (let i = 0; i < this._results.length; i++) {
+            let matcher = this._results[i].sql,
+                matched = matcher === null
+                    || (matcher instanceof RegExp && matcher.test(sql))
+                    || matcher === sql;
+
+            if (matched)
+                return this._results.splice(i, 1)[0].result;
+        }
+
+        return {};
+    }
+
+    release(): void {
+        this.connection = null;
+    }
+
+    close(): void {
+        this.connection = null;
+    }
+
+    static close(): void {
+        // Nothing to close.
+    }
+
+    getDDL(table: Table): string {
+        return MysqlAdapter.prototype.getDDL.call(this, table);
+    }
+
+    random(query: Query): Query {
+        return MysqlAdapter.prototype.random.call(this, query);
+    }
+
+    /** Gets the mock adapter that the given DB instance is using. */
+    static of(db: DB): MockAdapter {
+        let adapter = db["adapter"];
+
+        if (!(adapter instanceof MockAdapter)) {
+            throw new TypeError("The DB instance passed to MockAdapter.of() "
+                + "is not using a MockAdapter.");
+        }
+
+        return adapter;
+    }
+}
+
+export namespace MockAdapter {
+    export interface Record {
+        sql: string;
+        bindings: any[];
+    }
+
+    export interface Result {
+        /** Rows returned by a select statement. */
+        data?: Array<{ [field: string]: any }>;
+        insertId?: number;
+        affectedRows?: number;
+    }
+}
\ No newline at end of file
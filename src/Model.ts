@@ -6,11 +6,26 @@ import {
     PaginatedModels,
     ModelGetManyOptions,
     FieldConfig,
-    PaginatedRecords
+    IndexConfig,
+    PaginatedRecords,
+    ModelTimestamps,
+    Cast,
+    ValidationRule
 } from "./interfaces";
+import { getCast } from "./casts";
 import { Table } from "./Table";
-import { UpdateError, DeletionError, NotFoundError } from "./Errors";
+import {
+    UpdateError,
+    InsertionError,
+    DeletionError,
+    NotFoundError,
+    ValidationError,
+    MassAssignmentError,
+    StaleModelError
+} from "./Errors";
 import assign = require("lodash/assign");
+import uniq = require("lodash/uniq");
+import find = require("lodash/find");
 const inspect: string | symbol = require("util").inspect.custom || "inspect";
 
 /**
@@ -26,6 +41,11 @@ const inspect: string | symbol = require("util").inspect.custom || "inspect";
  * the model, and call `model.valueOf()` to get the data of the model. If you
  * want to list out all properties of the model data, put the model in a 
  * for...of... loop, like `for(let { key, value } of model)`.
+ * 
+ * A subclass may define hook methods, `beforeSave()`, `afterSave()`,
+ * `beforeInsert()`, `afterInsert()`, `beforeUpdate()`, `afterUpdate()`,
+ * `beforeDelete()` and `afterDelete()`, or register them by `Model.hook()`,
+ * see `Model.hook()` for details.
  */
 export class Model extends Query {
     /** @private */
@@ -38,6 +58,27 @@ export class Model extends Query {
     private _type: string;
     /** @private */
     private _pivot: string[];
+    /** @private Timestamps of the pivot table set by `withTimestamps()`. */
+    private _pivotTimestamps: ModelTimestamps = null;
+    /** @private The association that the model is fetched by. */
+    private _relation: Model.Relation;
+    /** @private Associations that will be eager loaded. */
+    private _with: string[] = [];
+    /** @private Whether scopes have been applied to the where clause. */
+    private _scoped = false;
+    /** @private Whether the model is fetched again after writing. */
+    private _reloading = false;
+    /** @private How soft deleted records are treated when fetching. */
+    private _trashed: "without" | "with" | "only" = "without";
+    /** @private Whether the next write will touch timestamps. */
+    private _touching = true;
+    /** @private Global scopes that won't be applied, `*` for all. */
+    private _withoutScopes: string[] = [];
+
+    /** @private */
+    private static _globalScopes: { [name: string]: (model: Model) => void } = {};
+    /** @private */
+    private static _hooks: { [name: string]: Array<(model: Model) => any> } = {};
 
     /**
      * @private
@@ -60,9 +101,35 @@ export class Model extends Query {
      */
     searchable: string[];
 
+    /** @private */
+    private _softDelete: string;
+    /** @private */
+    private _timestamps: ModelTimestamps;
+    /** @private */
+    private _versionKey: string;
+    /** @private */
+    private _casts: { [field: string]: Cast };
+    /** @private */
+    private _rules: { [field: string]: ValidationRule[] };
+    /** @private */
+    private _hidden: string[];
+    /** @private */
+    private _visible: string[];
+    /** @private */
+    private _appends: string[];
+    /** @private */
+    private _fillable: string[];
+    /** @private */
+    private _guarded: string[];
+    /** @private */
+    private _strictAssign: boolean;
+
     /** The schema of the table. */
     schema: { [field: string]: FieldConfig };
 
+    /** @private */
+    private _indexes: IndexConfig[];
+
     /** The real data of the model. */
     data: { [field: string]: any } = {};
 
@@ -72,6 +139,12 @@ export class Model extends Query {
     /** @private The data that needs to be updated to the database. */
     private _modified: { [field: string]: any } = {};
 
+    /** @private The data when the model was last fetched from the database. */
+    private _original: { [field: string]: any } = {};
+
+    /** @private The data changed by the last update. */
+    private _changes: { [field: string]: any } = {};
+
     /**
      * Extra data of the model.
      * 
@@ -83,6 +156,9 @@ export class Model extends Query {
      */
     readonly extra: { [field: string]: any } = {};
 
+    /** @private */
+    private _relations: { [name: string]: Model | Model[] } = {};
+
     /**
      * If `false`, then failed calling `model.get()` and `model.all()` will 
      * not throw a `NotFoundError`, just return `null` on `get()` and `[]` on 
@@ -101,6 +177,34 @@ export class Model extends Query {
         this._proto = Object.getPrototypeOf(this);
         this._initData = data;
         this.primary = config.primary || this._protoProp("primary") || "";
+
+        // Settings are stored under internal names and must be set before the
+        // fields, so that they never collide with the field accessors. Those
+        // set by decorators are inherited by subclasses.
+        this._fillable = config.fillable || this._proto["_fillable"] || [];
+        this._guarded = config.guarded || this._proto["_guarded"] || [];
+        this._strictAssign = config.strictAssign
+            || this._proto["_strictAssign"] || false;
+        this._softDelete = config.softDelete || this._proto["_softDelete"] || "";
+        this._timestamps = normalizeTimestamps(
+            config.timestamps || this._proto["_timestamps"]
+        );
+        this._versionKey = config.versionKey || this._proto["_versionKey"] || "";
+        this._casts = this._proto["_casts"] || {};
+
+        if (config.casts) {
+            this._casts = {};
+
+            for (let field in config.casts) {
+                this._casts[field] = getCast(config.casts[field]);
+            }
+        }
+
+        this._rules = config.rules || this._proto["_rules"] || {};
+        this._hidden = config.hidden || this._proto["_hidden"] || [];
+        this._visible = config.visible || this._proto["_visible"] || [];
+        this._appends = config.appends || this._proto["_appends"] || [];
+        this._indexes = this._proto["_indexes"] || [];
         this.fields = config.fields || this._protoProp("_fields") || [];
         this.searchable = config.searchable || this._protoProp("searchable") || [];
         this.schema = this._protoProp("schema") || {};
@@ -125,6 +229,111 @@ export class Model extends Query {
         }
     }
 
+    /**
+     * A field that stores the time when the model is soft deleted, if set,
+     * `model.delete()` will only mark the record, and trashed records will be
+     * excluded when fetching models.
+     */
+    get softDelete(): string {
+        return this._softDelete;
+    }
+
+    /**
+     * Fields that store the time when the model is created and updated, an
+     * empty name means the timestamp is not maintained.
+     */
+    get timestamps(): ModelTimestamps {
+        return this._timestamps;
+    }
+
+    /**
+     * A field that stores the version of the record, if set, `update()`,
+     * `increase()`, `decrease()` and `delete()` only affect the record when
+     * its version is still the one of the model, and bump the version,
+     * otherwise they're rejected with a `StaleModelError`.
+     */
+    get versionKey(): string {
+        return this._versionKey;
+    }
+
+    /**
+     * Casts of fields, they convert values read from the database in `get()`
+     * and `all()`, so that `data`, `valueOf()` and `toJSON()` carry the
+     * converted values, and convert them back when writing the database in
+     * `insert()` and `update()`.
+     */
+    get casts(): { [field: string]: Cast } {
+        return this._casts;
+    }
+
+    /**
+     * Validation rules of fields, they're checked before inserting and
+     * updating the model, or by calling `model.validate()`.
+     */
+    get rules(): { [field: string]: ValidationRule[] } {
+        return this._rules;
+    }
+
+    /**
+     * Fields (and relations) that are absent in `toJSON()`, `toString()` and
+     * the `for...of...` loop.
+     */
+    get hidden(): string[] {
+        return this._hidden;
+    }
+
+    /**
+     * If not empty, only these fields (and relations) are present in
+     * `toJSON()`, `toString()` and the `for...of...` loop.
+     */
+    get visible(): string[] {
+        return this._visible;
+    }
+
+    /**
+     * Computed properties (getters) that are added in `toJSON()`,
+     * `toString()` and the `for...of...` loop.
+     */
+    get appends(): string[] {
+        return this._appends;
+    }
+
+    /**
+     * If not empty, only these fields can be mass assigned by
+     * `model.assign()`, as well as the constructor, `model.insert(data)` and
+     * `model.update(data)`.
+     */
+    get fillable(): string[] {
+        return this._fillable;
+    }
+
+    /** Fields that can't be mass assigned by `model.assign()`. */
+    get guarded(): string[] {
+        return this._guarded;
+    }
+
+    /**
+     * Whether `model.assign()` throws a `MassAssignmentError` when the data
+     * carries fields that are not mass assignable, instead of ignoring them.
+     */
+    get strictAssign(): boolean {
+        return this._strictAssign;
+    }
+
+    /** Table-level indexes and constraints. */
+    get indexes(): IndexConfig[] {
+        return this._indexes;
+    }
+
+    /**
+     * Associated models that are eager loaded by `model.with()`, a
+     * `has (many)` association carries an array of models, and a
+     * `belongs-to` association carries a model or `null`.
+     */
+    get relations(): { [name: string]: Model | Model[] } {
+        return this._relations;
+    }
+
     /** Whether the current model is new. */
     get isNew(): boolean {
         return this.data[this.primary] == undefined;
@@ -134,6 +343,11 @@ export class Model extends Query {
         return true;
     }
 
+    /** Whether the current model is soft deleted. */
+    get isTrashed(): boolean {
+        return !!this._softDelete && this.data[this._softDelete] != undefined;
+    }
+
     /** @private */
     private _protoProp(name: string): any {
         return this._proto.hasOwnProperty(name) ? this._proto[name] : undefined;
@@ -144,7 +358,12 @@ export class Model extends Query {
         let props: { [prop: string]: PropertyDescriptor } = {};
 
         for (let field of fields) {
-            if (!(field in this)) { // Define new setter/getter.
+            // A field may take the name of a setting, which is still
+            // available under its internal name.
+            let isSetting = Settings.indexOf(field) !== -1
+                && !this._proto.hasOwnProperty(field);
+
+            if (!(field in this) || isSetting) { // Define new setter/getter.
                 props[field] = {
                     get() {
                         return this.data[field];
@@ -177,10 +396,38 @@ export class Model extends Query {
     }
 
     /**
-     * Assigns data to the model instance.
+     * Assigns data to the model instance, fields that are not mass assignable
+     * (see `fillable` and `guarded`) are ignored, or a `MassAssignmentError`
+     * is thrown if `strictAssign` is set.
      * @param useSetter Use setters (if any) to process the data.
      */
     assign(data: { [field: string]: any }, useSetter = false): this {
+        let _data: { [field: string]: any } = {};
+
+        for (let key in data) {
+            if (this.fields.indexOf(key) === -1 || this.isFillable(key)) {
+                _data[key] = data[key];
+            } else if (this._strictAssign) {
+                throw new MassAssignmentError(`Field '${key}' of `
+                    + `${this.constructor["name"]} is not mass assignable.`);
+            }
+        }
+
+        return this.forceAssign(_data, useSetter);
+    }
+
+    /** Checks if the given field can be mass assigned. */
+    isFillable(field: string): boolean {
+        return this._guarded.indexOf(field) === -1
+            && (!this._fillable.length || this._fillable.indexOf(field) >= 0);
+    }
+
+    /**
+     * Assigns data to the model instance regardless of `fillable` and
+     * `guarded`.
+     * @param useSetter Use setters (if any) to process the data.
+     */
+    forceAssign(data: { [field: string]: any }, useSetter = false): this {
         if (this.data instanceof Array) {
             // `data` extends from DB class, so it could be an array.
             this.data = {};
@@ -217,36 +464,60 @@ export class Model extends Query {
      */
     save(): Promise<this> {
         this.emit("save", this); // Emit the save event.
-        let exists = this.data[this.primary],
-            promise = exists ? this.update() : this.insert();
+        let exists = this.data[this.primary];
 
-        return promise.then(model => {
+        return this._callHooks("beforeSave").then(() => {
+            return exists ? this.update() : this.insert();
+        }).then(() => this._callHooks("afterSave")).then(model => {
             this.emit("saved", model);
             return this;
         });
     }
 
-    /** Inserts the current model as a new record into the database. */
+    /**
+     * Inserts the current model as a new record into the database, both
+     * timestamps will be filled if they're maintained. The model will be
+     * validated first, see `model.validate()`.
+     */
     insert(data?: { [field: string]: any }): Promise<this> {
         if (data)
             this.assign(data, true);
 
-        return super.insert(this.data).then(model => {
-            model.where(model.primary, model.insertId);
-            let sql = model.sql,
-                bindings = model.bindings;
+        let touching = this._shouldTouch();
 
-            // Get final data from the database.
-            return model.get().then(() => {
-                model.sql = sql;
-                model.bindings = bindings;
-                return model;
-            });
-        });
+        return this._callHooks("beforeInsert").then(() => {
+            return this.validate();
+        }).then(() => {
+            if (this._versionKey && this.data[this._versionKey] == null)
+                this.data[this._versionKey] = 1;
+
+            if (touching) {
+                let now = new Date(),
+                    { createdAt, updatedAt } = this._timestamps;
+
+                for (let field of [createdAt, updatedAt]) {
+                    if (field && this.data[field] === undefined)
+                        this.data[field] = now;
+                }
+            }
+
+            return super.insert(this._castForWrite(this.data));
+        }).then(model => {
+            model.where(model.primary, model.insertId);
+            model._changes = {};
+            return model._reload();
+        }).then(model => model._callHooks("afterInsert"));
     }
 
-    /** Updates the current model. */
+    /**
+     * Updates the current model, `updatedAt` will be filled if maintained.
+     * Modified fields will be validated first, see `model.validate()`.
+     */
     update(data?: { [field: string]: any }): Promise<this> {
+        let touching = this._shouldTouch(),
+            updatedAt = this._timestamps.updatedAt,
+            version = this.data[this._versionKey];
+
         this._resetWhere();
         if (this._whereState.where) {
             let state = this._whereState;
@@ -262,30 +533,38 @@ export class Model extends Query {
         data = assign({}, this._modified);
 
         if (Object.keys(data).length === 0) {
-            // If no data modified, resolve the current model immediately.
+            // If no data modified, resolve the current model immediately,
+            // nothing is changed by this save.
+            this._changes = {};
+
             return new Promise(resolve => {
                 resolve(this);
             });
         } else {
-            return super.update(data).then(model => {
+            return this._callHooks("beforeUpdate").then(() => {
+                // Hooks may modify more data.
+                data = assign({}, this._modified);
+                return this.validate(Object.keys(data));
+            }).then(() => {
+                if (touching && updatedAt && data[updatedAt] === undefined)
+                    data[updatedAt] = this.data[updatedAt] = new Date();
+
+                if (this._versionKey)
+                    data[this._versionKey] = this._whereVersion(version);
+
+                return super.update(this._castForWrite(data));
+            }).then(model => {
                 if (model.affectedRows == 0) {
                     // If no model is affected, throw an error.
-                    throw new UpdateError("No " + this.constructor["name"]
-                        + " was updated by the given condition.");
+                    return this._rejectStale(version, new UpdateError("No "
+                        + this.constructor["name"]
+                        + " was updated by the given condition."));
                 } else {
-                    let sql = model.sql,
-                        bindings = model.bindings;
-
-                    model._resetWhere(true);
-
-                    // Get final data from the database.
-                    return model.get().then(() => {
-                        model.sql = sql;
-                        model.bindings = bindings;
-                        return model;
+                    return model._reload(true).then(() => {
+                        return model._keepChanges(Object.keys(data));
                     });
                 }
-            });
+            }).then(model => model._callHooks("afterUpdate"));
         }
     }
 
@@ -325,7 +604,8 @@ export class Model extends Query {
     ): Promise<this> {
         let data: { [field: string]: any },
             parts: string[] = [],
-            bindings = [];
+            bindings = [],
+            changed: string[] = [];
 
         if (typeof field == "object") {
             data = field;
@@ -338,38 +618,313 @@ export class Model extends Query {
         for (let field in data) {
             if (this.fields.indexOf(field) >= 0 && data[field] > 0) {
                 bindings.push(data[field]);
+                changed.push(field);
                 field = this.backquote(field);
                 parts.push(`${field} = ${field} ${type} ?`);
             }
         }
 
+        if (this._shouldTouch() && this._timestamps.updatedAt && parts.length) {
+            parts.push(this.backquote(this._timestamps.updatedAt) + " = ?");
+            bindings.push(new Date());
+            changed.push(this._timestamps.updatedAt);
+        }
+
+        let version = this.data[this._versionKey];
+
+        if (this._versionKey && parts.length) {
+            parts.push(this.backquote(this._versionKey) + " = ?");
+            bindings.push(this._whereVersion(version));
+            changed.push(this._versionKey);
+        }
+
         return this["_handleUpdate"](parts, bindings).then(model => {
             if (model.affectedRows == 0) {
                 // If no model is affected, throw an error.
-                throw new UpdateError("No " + this.constructor["name"]
-                    + " was updated by the given condition.");
+                return this._rejectStale(version, new UpdateError("No "
+                    + this.constructor["name"]
+                    + " was updated by the given condition."));
+            } else {
+                return model._reload(true).then(() => model._keepChanges(changed));
+            }
+        });
+    }
+
+    /**
+     * Doesn't touch timestamps in the next write, e.g.
+     * `model.withoutTimestamps().save()`, or `attach()` via an association.
+     */
+    withoutTimestamps(): this {
+        this._touching = false;
+        return this;
+    }
+
+    /**
+     * Checks if the model has data that hasn't been saved, or if the given
+     * field has been modified since the model was fetched.
+     */
+    isDirty(field?: string): boolean {
+        let dirty = this.getDirty();
+        return field ? dirty.hasOwnProperty(field) : Object.keys(dirty).length > 0;
+    }
+
+    /**
+     * Gets the data that hasn't been saved, for a new model, that is all its
+     * data, otherwise the fields modified since the model was fetched.
+     */
+    getDirty(): { [field: string]: any } {
+        return assign({}, this.isNew ? this.data : this._modified);
+    }
+
+    /** Gets the data (or a field) when the model was last fetched. */
+    getOriginal(): { [field: string]: any };
+    getOriginal(field: string): any;
+    getOriginal(field?: string) {
+        return field ? this._original[field] : assign({}, this._original);
+    }
+
+    /**
+     * Gets the data changed by the last `update()`, `increase()` or
+     * `decrease()`, with the values fetched after the change.
+     */
+    getChanges(): { [field: string]: any } {
+        return assign({}, this._changes);
+    }
+
+    /**
+     * Checks if the last `update()`, `increase()` or `decrease()` changed
+     * any data, or the given field.
+     */
+    wasChanged(field?: string): boolean {
+        return field
+            ? this._changes.hasOwnProperty(field)
+            : Object.keys(this._changes).length > 0;
+    }
+
+    /** Discards unsaved modifications of the model (or a field). */
+    revert(field?: string): this {
+        let fields = field ? [field] : Object.keys(this.getDirty());
+
+        for (let field of fields) {
+            if (field == this.primary) continue;
+
+            if (this._original.hasOwnProperty(field)) {
+                this.data[field] = this._original[field];
             } else {
-                let sql = model.sql,
-                    bindings = model.bindings;
+                delete this.data[field];
+            }
 
-                model._resetWhere(true);
+            delete this._modified[field];
+        }
 
-                // Get final data from the database.
-                return model.get().then(() => {
-                    model.sql = sql;
-                    model.bindings = bindings;
-                    return model;
-                });
+        return this;
+    }
+
+    /**
+     * @private Calls the hook method of the model and hooks registered by
+     * `Model.hook()` in sequence, a `before` hook that returns (or resolves)
+     * `false` cancels the operation.
+     */
+    private _callHooks(name: Model.Hook): Promise<this> {
+        let Class = <typeof Model>this.constructor,
+            hooks = (this[name] instanceof Function ? [this[name]] : [])
+                .concat(Class._hooks[name] || []),
+            i = 0;
+
+        let loop = (): Promise<this> => {
+            if (i === hooks.length)
+                return Promise.resolve(this);
+
+            return Promise.resolve(hooks[i++].call(this, this)).then(result => {
+                if (result === false && name.slice(0, 6) == "before") {
+                    let message = `The ${name} hook of ${Class["name"]} `
+                        + "cancelled the operation.";
+
+                    if (name == "beforeDelete") {
+                        throw new DeletionError(message);
+                    } else if (name == "beforeInsert"
+                        || (name == "beforeSave" && this.isNew)) {
+                        throw new InsertionError(message);
+                    } else {
+                        throw new UpdateError(message);
+                    }
+                }
+
+                return loop();
+            });
+        };
+
+        return Promise.resolve().then(loop);
+    }
+
+    /**
+     * @private Adds the condition that the record is still of the given
+     * version, and returns the next version.
+     */
+    private _whereVersion(version: any): number {
+        if (version == null)
+            this.whereNull(this._versionKey);
+        else
+            this.where(this._versionKey, version);
+
+        return (parseInt(version) || 0) + 1;
+    }
+
+    /**
+     * @private Rejects with a `StaleModelError` if the record still exists
+     * but its version isn't the given one, otherwise with the given error.
+     */
+    private _rejectStale(version: any, err: Error): Promise<never> {
+        if (!this._versionKey || this.isNew)
+            return Promise.reject(err);
+
+        let query = new Query(this.table).use(this)
+            .where(this.primary, this.data[this.primary]);
+
+        if (version == null)
+            query.whereNotNull(this._versionKey);
+        else
+            query.where(this._versionKey, "<>", version);
+
+        return query.count().then(count => {
+            if (count) {
+                throw new StaleModelError(`${this.constructor["name"]} `
+                    + `${this.data[this.primary]} has been modified since `
+                    + "it was fetched.");
+            } else {
+                throw err;
             }
         });
     }
 
+    /**
+     * @private Gets final data from the database after writing, scopes are
+     * not applied, and the SQL statement of the writing is kept.
+     * @param resetWhere Fetches by the primary key instead of the where clause.
+     */
+    private _reload(resetWhere = false): Promise<this> {
+        let sql = this.sql,
+            bindings = this.bindings;
+
+        if (resetWhere)
+            this._resetWhere(true);
+
+        this._scoped = true;
+        this._reloading = true;
+
+        return this.get().then(() => {
+            this._reloading = false;
+            this.sql = sql;
+            this.bindings = bindings;
+            return this;
+        }, err => {
+            this._reloading = false;
+            throw err;
+        });
+    }
+
+    /** @private Takes the current data as the original one. */
+    private _syncOriginal(): this {
+        this._original = assign({}, this.data);
+        this._modified = {};
+        return this;
+    }
+
+    /** @private Records the changed fields with their current values. */
+    private _keepChanges(fields: string[]): this {
+        this._changes = {};
+
+        for (let field of fields) {
+            this._changes[field] = this.data[field];
+        }
+
+        return this;
+    }
+
+    /**
+     * Validates the data of the model by the rules of fields, resolves the
+     * model itself if they're all valid, otherwise rejects with a
+     * `ValidationError` that carries the messages of every invalid field.
+     * @param fields Only validates these fields, default all fields with rules.
+     */
+    validate(fields?: string[]): Promise<this> {
+        let tasks: Array<{ field: string, rule: ValidationRule }> = [],
+            errors: { [field: string]: string[] } = {},
+            i = 0;
+
+        for (let field of fields || Object.keys(this._rules)) {
+            for (let rule of this._rules[field] || []) {
+                tasks.push({ field, rule });
+            }
+        }
+
+        let loop = (): Promise<this> => {
+            if (i === tasks.length) {
+                let messages = Object.keys(errors).map(field => errors[field][0]);
+
+                if (messages.length)
+                    throw new ValidationError(messages.join(" "), errors);
+
+                return Promise.resolve(this);
+            }
+
+            let { field, rule } = tasks[i++],
+                value = this.data[field];
+
+            if (!rule.checkEmpty
+                && (value === null || value === undefined || value === "")) {
+                return loop();
+            }
+
+            return Promise.resolve(rule.test(value, this, field)).then(valid => {
+                if (!valid) {
+                    errors[field] = errors[field] || [];
+                    errors[field].push(rule.message.replace(/\{field\}/g, field));
+                }
+
+                return loop();
+            });
+        };
+
+        return Promise.resolve().then(loop);
+    }
+
+    /** @private Converts the data read from the database by casts. */
+    private _castForRead(): this {
+        for (let field in this._casts) {
+            if (this.data[field] != null)
+                this.data[field] = this._casts[field].get(this.data[field]);
+        }
+
+        return this;
+    }
+
+    /** @private Gets a copy of the data converted by casts for writing. */
+    private _castForWrite(data: { [field: string]: any }): { [field: string]: any } {
+        data = assign({}, data);
+
+        for (let field in this._casts) {
+            if (data[field] != null)
+                data[field] = this._casts[field].set(data[field]);
+        }
+
+        return data;
+    }
+
+    /** @private Checks and resets the state set by `withoutTimestamps()`. */
+    private _shouldTouch(): boolean {
+        let touching = this._touching;
+        this._touching = true;
+        return touching;
+    }
+
     /** @private */
     private _resetWhere(resetState = false): this {
         this["_where"] = "";
         this["_limit"] = 0;
         this["_bindings"] = [];
         this.bindings = [];
+        this._scoped = false;
         if (resetState) {
             this._whereState.where = "";
             this._whereState.bindings = [];
@@ -378,7 +933,10 @@ export class Model extends Query {
         return this;
     }
 
-    /** Deletes the current model. */
+    /**
+     * Deletes the current model, if `softDelete` is set, the model will only
+     * be marked as trashed.
+     */
     delete(id?: number): Promise<this> {
         if (id) {
             return this.get(id).then(model => {
@@ -386,6 +944,46 @@ export class Model extends Query {
             });
         }
 
+        if (!this._softDelete)
+            return this.forceDelete();
+
+        if (!this["_where"]) {
+            throw new Error("No where condition is set to delete models.");
+        }
+
+        this._resetWhere();
+        if (this._whereState.where) {
+            let state = this._whereState;
+            this["_where"] += " and " + state.where;
+            this["_bindings"] = this["_bindings"].concat(state.bindings);
+        }
+
+        let deletedAt = new Date(),
+            version = this.data[this._versionKey];
+
+        return this._callHooks("beforeDelete").then(() => {
+            return this._markTrashed(deletedAt, "delete", "deleted");
+        }).then(model => {
+            if (model.affectedRows == 0) {
+                // If no model is affected, throw an error.
+                return this._rejectStale(version, new DeletionError("No "
+                    + this.constructor["name"]
+                    + " was deleted by the given condition."));
+            } else {
+                model.data[model._softDelete] = deletedAt;
+                return model._callHooks("afterDelete");
+            }
+        });
+    }
+
+    /** Permanently deletes the current model even if it's soft deletable. */
+    forceDelete(id?: number): Promise<this> {
+        if (id) {
+            return this.withTrashed().get(id).then(model => {
+                return model.forceDelete();
+            });
+        }
+
         if (!this["_where"]) {
             throw new Error("No where condition is set to delete models.");
         }
@@ -397,17 +995,157 @@ export class Model extends Query {
             this["_bindings"] = this["_bindings"].concat(state.bindings);
         }
 
-        return super.delete().then(model => {
+        let version = this.data[this._versionKey];
+
+        return this._callHooks("beforeDelete").then(() => {
+            if (this._versionKey)
+                this._whereVersion(version);
+
+            return super.delete();
+        }).then(model => {
             if (model.affectedRows == 0) {
                 // If no model is affected, throw an error.
-                throw new DeletionError("No " + this.constructor["name"]
-                    + " was deleted by the given condition.");
+                return this._rejectStale(version, new DeletionError("No "
+                    + this.constructor["name"]
+                    + " was deleted by the given condition."));
             } else {
+                return model._callHooks("afterDelete");
+            }
+        });
+    }
+
+    /** Restores the current soft deleted model. */
+    restore(id?: number): Promise<this> {
+        if (id) {
+            return this.onlyTrashed().get(id).then(model => {
+                return model.restore();
+            });
+        }
+
+        if (!this._softDelete) {
+            throw new ReferenceError(this.constructor["name"]
+                + " is not soft deletable.");
+        }
+
+        if (!this["_where"]) {
+            throw new Error("No where condition is set to restore models.");
+        }
+
+        this._resetWhere();
+        if (this._whereState.where) {
+            let state = this._whereState;
+            this["_where"] += " and " + state.where;
+            this["_bindings"] = this["_bindings"].concat(state.bindings);
+        }
+
+        let version = this.data[this._versionKey];
+
+        return this._markTrashed(null, "restore", "restored").then<this>(model => {
+            if (model.affectedRows == 0) {
+                // If no model is affected, throw an error.
+                return this._rejectStale(version, new UpdateError("No "
+                    + this.constructor["name"]
+                    + " was restored by the given condition."));
+            } else {
+                model.data[model._softDelete] = null;
                 return model;
             }
         });
     }
 
+    /** @private Sets the soft delete field and emits the given events. */
+    private _markTrashed(
+        value: Date,
+        event: "delete" | "restore",
+        doneEvent: "deleted" | "restored"
+    ): Promise<this> {
+        let sets = this.backquote(this._softDelete) + " = ?",
+            values = [value];
+
+        if (this._versionKey) {
+            let version = this._whereVersion(this.data[this._versionKey]);
+
+            sets += ", " + this.backquote(this._versionKey) + " = ?";
+            values.push(<any>version);
+        }
+
+        let bindings = values.concat(this["_bindings"]);
+
+        this.sql = `update ${this.backquote(this.table)} set ${sets} `
+            + `where ${this["_where"]}`;
+
+        // Fire event and call its listeners.
+        this.emit(event, this);
+
+        return this.query(this.sql, bindings).then(() => {
+            this.bindings = [].concat(bindings);
+
+            if (this._versionKey && this.affectedRows)
+                this.data[this._versionKey] = values[1];
+
+            // Fire event and call its listeners.
+            this.emit(doneEvent, this);
+
+            return this;
+        });
+    }
+
+    /** Includes soft deleted models when fetching models. */
+    withTrashed(): this {
+        this._trashed = "with";
+        return this;
+    }
+
+    /** Only fetches soft deleted models. */
+    onlyTrashed(): this {
+        this._trashed = "only";
+        return this;
+    }
+
+    /**
+     * @private Applies the conditions that every select statement of the
+     * model must obey, only once for the current where clause.
+     */
+    private _applyScopes(): this {
+        if (this._scoped)
+            return this;
+
+        this._scoped = true;
+
+        let scopes = (<typeof Model>this.constructor)._globalScopes,
+            without = this._withoutScopes,
+            names = without.indexOf("*") >= 0 ? [] : Object.keys(scopes).filter(name => {
+                return without.indexOf(name) === -1;
+            }),
+            trashed = this._softDelete && this._trashed != "with";
+
+        // Wrap conditions joined by `or` to keep the precedence.
+        if ((trashed || names.length) && /\sor\s/i.test(this["_where"]))
+            this["_where"] = "(" + this["_where"] + ")";
+
+        for (let name of names) {
+            scopes[name](this);
+        }
+
+        if (trashed) {
+            if (this._trashed == "only")
+                this.whereNotNull(this._softDelete);
+            else
+                this.whereNull(this._softDelete);
+        }
+
+        return this;
+    }
+
+    /**
+     * Doesn't apply the given global scopes (or all global scopes if no
+     * name is given) when fetching models.
+     */
+    withoutGlobalScope(...names: string[]): this {
+        this._withoutScopes = this._withoutScopes.concat(names.length ? names : ["*"]);
+        return this;
+    }
+
     /** Gets a model from the database. */
     get(id?: number): Promise<this> {
         if (id) {
@@ -418,6 +1156,8 @@ export class Model extends Query {
             throw new Error("No where condition is set to fetch models.");
         }
 
+        this._applyScopes();
+
         return super.get().then(data => {
             if (!data || Object.keys(data).length === 0) {
                 if (this.throwNotFoundError) {
@@ -433,19 +1173,21 @@ export class Model extends Query {
                 delete this._foreignKey;
                 delete this._type;
                 delete this._pivot;
+                delete this._relation;
 
                 // Assign data and emit event listeners.
-                this.assign(data);
-                this._modified = {};
+                this.forceAssign(data)._castForRead()._syncOriginal();
                 this.emit("get", this);
 
-                return this;
+                return this._eagerLoad([this]).then(() => this);
             }
         });
     }
 
     /** Gets all matched models from the database. */
     all(): Promise<this[]> {
+        this._applyScopes();
+
         return super.all().then(data => {
             if (data.length === 0) {
                 if (this.throwNotFoundError) {
@@ -467,18 +1209,30 @@ export class Model extends Query {
                             table: this.table,
                             primary: this.primary,
                             fields: this.fields,
-                            searchable: this.searchable
+                            searchable: this.searchable,
+                            softDelete: this._softDelete,
+                            timestamps: this._timestamps,
+                            versionKey: this._versionKey,
+                            casts: this._casts,
+                            rules: this._rules,
+                            hidden: this._hidden,
+                            visible: this._visible,
+                            appends: this._appends,
+                            fillable: this._fillable,
+                            guarded: this._guarded,
+                            strictAssign: this._strictAssign
                         });
                     } else {
                         model = new ModelClass;
                     }
 
                     // Assign data and emit event listeners for every model.
-                    model.use(this).assign(data[i]).emit("get", model);
+                    model.use(this).forceAssign(data[i])._castForRead()
+                        ._syncOriginal().emit("get", model);
                     models.push(model);
                 }
 
-                return <this[]>models;
+                return this._eagerLoad(<this[]>models);
             }
         });
     }
@@ -493,6 +1247,7 @@ export class Model extends Query {
         length: number,
         cb: (this: this, models: this[]) => false | void
     ): Promise<this[]> {
+        this._applyScopes();
         return super.chunk(length, cb);
     }
 
@@ -503,9 +1258,19 @@ export class Model extends Query {
      *  carry.
      */
     paginate(page: number, length?: number): Promise<PaginatedRecords<this>> {
+        this._applyScopes();
         return super.paginate(page, length);
     }
 
+    /**
+     * Gets all counts of records or a specified field.
+     * @param field Count a specified field.
+     */
+    count(field?: string): Promise<number> {
+        this._applyScopes();
+        return super.count(field);
+    }
+
     /** Gets multiple models that suit the given condition. */
     getMany(options?: ModelGetManyOptions): Promise<PaginatedModels<this>> {
         let defaults = assign({}, ModelGetManyOptions, {
@@ -594,6 +1359,196 @@ export class Model extends Query {
         return this;
     }
 
+    /**
+     * Eager loads associations when fetching models by `model.get()`,
+     * `model.all()`, `model.chunk()`, `model.paginate()` or
+     * `model.getMany()`, every association is fetched with a single query.
+     * @param relations Names of the properties that define associations,
+     *  use dots to load nested associations, e.g. `comments.user`.
+     * @example
+     *  let articles = await Article.with("user", "comments.user").all();
+     *  articles[0].relations.user; // User or null
+     *  articles[0].relations.comments; // Comment[]
+     */
+    with(...relations: string[]): this;
+    with(relations: string[]): this;
+    with() {
+        let relations: string[] = arguments[0] instanceof Array
+            ? arguments[0]
+            : Array.from(arguments);
+
+        this._with = this._with.concat(relations);
+        return this;
+    }
+
+    /** @private */
+    private _eagerLoad<T extends Model>(models: T[]): Promise<T[]> {
+        let nested: { [name: string]: string[] } = {};
+
+        for (let path of this._with) {
+            let i = path.indexOf("."),
+                name = i === -1 ? path : path.slice(0, i);
+
+            nested[name] = nested[name] || [];
+
+            if (i !== -1)
+                nested[name].push(path.slice(i + 1));
+        }
+
+        let names = Object.keys(nested),
+            loop = (i: number): Promise<T[]> => {
+                if (i === names.length || !models.length)
+                    return Promise.resolve(models);
+
+                let name = names[i];
+
+                return this._loadRelation(models, name, nested[name])
+                    .then(() => loop(i + 1));
+            };
+
+        return loop(0);
+    }
+
+    /** @private Loads an association for all the models at once. */
+    private _loadRelation(
+        models: Model[],
+        name: string,
+        nested: string[]
+    ): Promise<void> {
+        let probe: Model = models[0][name];
+
+        if (!(probe instanceof Model) || !probe._relation) {
+            return Promise.reject(new ReferenceError(`'${name}' is not an `
+                + `association defined in ${this.constructor["name"]}.`));
+        }
+
+        let relation = probe._relation,
+            where: string = probe["_where"].slice(relation.where[0]);
+
+        // Conditions chained to the association apply to all the models,
+        // except the ones that can't be combined with the others.
+        if (/^ or /.test(where) || probe["_limit"]) {
+            return Promise.reject(new Error(`Association '${name}' can't be `
+                + "eager loaded with an 'or' condition or a limit."));
+        }
+
+        let query = (new relation.ModelClass).use(this).with(nested),
+            fetch = (field: string, values: any[]): Promise<Model[]> => {
+                values = uniq(values.filter(value => value != null));
+
+                if (!values.length)
+                    return Promise.resolve([]);
+
+                query.throwNotFoundError = false;
+                return query.whereIn(field, values).all();
+            },
+            ids = models.map(model => model.data[model.primary]);
+
+        if (where) {
+            query["_where"] = "(" + where.replace(/^ and /, "") + ")";
+            query["_bindings"] = probe["_bindings"].slice(relation.where[1]);
+        }
+
+        query["_orderBy"] = probe["_orderBy"];
+
+        if (relation.type == "has") {
+            if (relation.typeField)
+                query.where(relation.typeField, relation.typeValue);
+
+            return fetch(relation.foreignKey, ids).then(results => {
+                for (let model of models) {
+                    model._relations[name] = results.filter(result => {
+                        return result.data[relation.foreignKey]
+                            == model.data[model.primary];
+                    });
+                }
+            });
+        } else if (relation.type == "belongsTo") {
+            let targets = models.filter(model => {
+                return !relation.typeField
+                    || model.data[relation.typeField] == relation.typeValue;
+            });
+
+            return fetch(query.primary, targets.map(model => {
+                return model.data[relation.foreignKey];
+            })).then(results => {
+                for (let model of models) {
+                    let id = model.data[relation.foreignKey];
+
+                    model._relations[name] = targets.indexOf(model) === -1
+                        ? null
+                        : find(results, result => {
+                            return result.data[result.primary] == id;
+                        }) || null;
+                }
+            });
+        }
+
+        // Associations through a middle model or a pivot table need the
+        // middle records to pair the models.
+        let pairs: Query,
+            currentKey: string,
+            relatedKey: string;
+
+        if (relation.type == "via") {
+            pairs = new Query(relation.pivot[0]).use(this)
+                .select(relation.pivot[1], relation.pivot[2])
+                .whereIn(relation.pivot[2], ids);
+            relatedKey = relation.pivot[1];
+            currentKey = relation.pivot[2];
+
+            if (relation.pivot[3])
+                pairs.where(relation.pivot[3], relation.pivot[4]);
+
+            if (relation.pivotWhere) {
+                pairs["_where"] += " and " + relation.pivotWhere["_where"];
+                pairs["_bindings"] = pairs["_bindings"].concat(
+                    relation.pivotWhere["_bindings"]);
+            }
+        } else {
+            let middle = new relation.MiddleClass;
+
+            if (relation.type == "hasThrough") {
+                pairs = new Query(middle.table).use(this)
+                    .select(middle.primary, relation.foreignKey2)
+                    .whereIn(relation.foreignKey2, ids);
+                relatedKey = middle.primary;
+                currentKey = relation.foreignKey2;
+            } else { // belongsToThrough
+                pairs = new Query(middle.table).use(this)
+                    .select(middle.primary, relation.foreignKey2)
+                    .whereIn(middle.primary, models.map(model => {
+                        return model.data[relation.foreignKey];
+                    }));
+                relatedKey = relation.foreignKey2;
+                currentKey = middle.primary;
+            }
+        }
+
+        return (ids.length ? pairs.all() : Promise.resolve([])).then(rows => {
+            let field = relation.type == "hasThrough"
+                ? relation.foreignKey
+                : query.primary;
+
+            return fetch(field, rows.map(row => row[relatedKey])).then(results => {
+                for (let model of models) {
+                    let id = relation.type == "belongsToThrough"
+                        ? model.data[relation.foreignKey]
+                        : model.data[model.primary],
+                        keys = rows.filter(row => row[currentKey] == id)
+                            .map(row => row[relatedKey]),
+                        related = results.filter(result => {
+                            return keys.indexOf(result.data[field]) >= 0;
+                        });
+
+                    model._relations[name] = relation.type == "belongsToThrough"
+                        ? (related[0] || null)
+                        : related;
+                }
+            });
+        });
+    }
+
     /** Gets the data that the model represents. */
     valueOf(): { [field: string]: any } {
         let data = {};
@@ -625,11 +1580,56 @@ export class Model extends Query {
     }
 
     toJSON(): { [field: string]: any } {
-        return this.valueOf();
+        return this._serialize(true);
+    }
+
+    /** Hides the given fields (or relations) in serialization. */
+    makeHidden(...fields: string[]): this {
+        this._hidden = uniq(this._hidden.concat(fields));
+        return this;
+    }
+
+    /** Shows the given fields (or relations) in serialization. */
+    makeVisible(...fields: string[]): this {
+        this._hidden = this._hidden.filter(field => fields.indexOf(field) === -1);
+
+        if (this._visible.length)
+            this._visible = uniq(this._visible.concat(fields));
+
+        return this;
+    }
+
+    /**
+     * @private Gets the data with appended properties (and relations) that
+     * should be serialized.
+     */
+    private _serialize(withRelations = false): { [field: string]: any } {
+        let data = this.valueOf(),
+            res: { [field: string]: any } = {};
+
+        for (let name of this._appends) {
+            if (this[name] !== undefined)
+                data[name] = this[name];
+        }
+
+        if (withRelations) {
+            for (let name in this._relations) {
+                data[name] = this._relations[name];
+            }
+        }
+
+        for (let key in data) {
+            if (this._hidden.indexOf(key) === -1
+                && (!this._visible.length || this._visible.indexOf(key) >= 0)) {
+                res[key] = data[key];
+            }
+        }
+
+        return res;
     }
 
     [Symbol.iterator](): IterableIterator<{ key: string, value: any }> {
-        let data = this.valueOf();
+        let data = this._serialize();
 
         return (function* () {
             for (let key in data) {
@@ -645,12 +1645,14 @@ export class Model extends Query {
         delete res["data"];
         delete res["searchable"];
         delete res["schema"];
+        delete res["indexes"];
         delete res["extra"];
 
         // re-assign properties
         res["fields"] = this.fields;
         res["searchable"] = this.searchable;
         res["schema"] = this.schema;
+        res["indexes"] = this._indexes;
         res["data"] = this.data;
         res["extra"] = this.extra;
 
@@ -666,6 +1668,19 @@ export class Model extends Query {
         return new Table(this).save().then(() => this);
     }
 
+    /**
+     * Compares the class definition to the table in the database, fields
+     * without a schema (not decorated) are ignored.
+     * @see Table.diff()
+     */
+    diff(options?: Table.DiffOptions): Promise<Table.Diff> {
+        let ignore = this.fields.filter(field => !this.schema[field]);
+
+        return new Table(this).diff(assign({}, options, {
+            ignore: (options && options.ignore || []).concat(ignore)
+        }));
+    }
+
     // Static Wrappers    
 
     static set<T extends Model>(config: DBConfig): T;
@@ -681,10 +1696,15 @@ export class Model extends Query {
         return (new this).use(db) as T;
     }
 
-    static transaction<T extends Model>(): Promise<T>;
-    static transaction<T extends Model>(cb: (model: T) => any): Promise<T>;
-    static transaction(cb?: (model: Model) => any) {
-        return (new this).transaction(cb);
+    static transaction<T extends Model>(
+        options?: DB.TransactionOptions
+    ): Promise<T>;
+    static transaction<T extends Model>(
+        cb: (model: T) => any,
+        options?: DB.TransactionOptions
+    ): Promise<T>;
+    static transaction(cb?, options?: DB.TransactionOptions) {
+        return (new this).transaction(cb, options);
     }
 
     static select<T extends Model>(...fields: string[]): T;
@@ -921,6 +1941,14 @@ export class Model extends Query {
         return (new this).distinct() as T;
     }
 
+    static lockForUpdate<T extends Model>() {
+        return (new this).lockForUpdate() as T;
+    }
+
+    static sharedLock<T extends Model>() {
+        return (new this).sharedLock() as T;
+    }
+
     static insert<T extends Model>(data: { [field: string]: any }) {
         return (new this).insert(data) as Promise<T>;
     }
@@ -941,6 +1969,26 @@ export class Model extends Query {
         return (new this).count(field);
     }
 
+    static forceDelete<T extends Model>(id: number) {
+        return (new this).forceDelete(id) as Promise<T>;
+    }
+
+    static restore<T extends Model>(id: number) {
+        return (new this).restore(id) as Promise<T>;
+    }
+
+    static withTrashed<T extends Model>() {
+        return (new this).withTrashed() as T;
+    }
+
+    static onlyTrashed<T extends Model>() {
+        return (new this).onlyTrashed() as T;
+    }
+
+    static withoutGlobalScope<T extends Model>(...names: string[]) {
+        return (new this).withoutGlobalScope(...names) as T;
+    }
+
     static max(field: string): Promise<number> {
         return (new this).max(field);
     }
@@ -972,6 +2020,12 @@ export class Model extends Query {
         return (new this).getMany(options) as Promise<PaginatedModels<T>>;
     }
 
+    static with<T extends Model>(...relations: string[]): T;
+    static with<T extends Model>(relations: string[]): T;
+    static with() {
+        return (new this).with(...Array.from(arguments));
+    }
+
     static whereState<T extends Model>(field: string, value: any): T;
     static whereState<T extends Model>(
         field: string,
@@ -991,6 +2045,112 @@ export class Model extends Query {
         return (new this).createTable() as Promise<T>;
     }
 
+    static diff(options?: Table.DiffOptions): Promise<Table.Diff> {
+        return (new this).diff(options);
+    }
+
+    /**
+     * Registers a hook to the model class (and its subclasses), hooks run
+     * after the hook method of the model, in the order they're registered.
+     * A hook receives the model and may return a promise, `save()`,
+     * `insert()`, `update()` and `delete()` will wait for it. If a hook
+     * throws, the operation is rejected with the error, and if a `before`
+     * hook returns (or resolves) `false`, the operation is cancelled with an
+     * `InsertionError`, `UpdateError` or `DeletionError`.
+     * 
+     * A `before` hook may modify the data of the model before it's written.
+     */
+    static hook<T extends Model>(
+        name: Model.Hook,
+        hook: (model: T) => any
+    ): new (...args) => T {
+        if (!this.hasOwnProperty("_hooks"))
+            this._hooks = assign({}, this._hooks);
+
+        this._hooks[name] = (this._hooks[name] || []).concat(hook);
+
+        return <any>this;
+    }
+
+    /**
+     * Registers an observer to the model class (and its subclasses), an
+     * observer implements any of `creating()`, `created()`, `updating()`,
+     * `updated()`, `deleting()`, `deleted()` and `retrieved()`, the first six
+     * are registered as the hooks `beforeInsert`, `afterInsert`, etc. (see
+     * `Model.hook()`), and `retrieved()` listens to the `get` event.
+     * @param observer An observer class or an instance of it.
+     */
+    static observe<T extends Model>(
+        observer: Model.Observer<T> | (new () => Model.Observer<T>)
+    ): new (...args) => T {
+        let _observer: Model.Observer<T> = typeof observer == "function"
+            ? new observer
+            : observer;
+
+        for (let method in ObserverHooks) {
+            if (_observer[method] instanceof Function) {
+                this.hook(ObserverHooks[method], (model: T) => {
+                    return _observer[method](model);
+                });
+            }
+        }
+
+        if (_observer.retrieved instanceof Function) {
+            this.on("get", (model: T) => {
+                // A reload after writing isn't a retrieval.
+                if (!model["_reloading"])
+                    _observer.retrieved(model);
+            });
+        }
+
+        return <any>this;
+    }
+
+    /**
+     * Defines a named scope on the model class, which can be called from both
+     * the class and its instances, e.g.
+     * `Article.scope("published", article => article.where("published", 1))`
+     * then `Article.published().where(...)`.
+     * @param scope Receives the model and the arguments passed to the scope.
+     */
+    static scope<T extends Model>(
+        name: string,
+        scope: (model: T, ...args: any[]) => void
+    ): new (...args) => T {
+        if (name in Model.prototype || name in Model) {
+            throw new Error(`Scope '${name}' conflicts with an existing `
+                + "member of Model.");
+        }
+
+        this.prototype[name] = function (...args) {
+            scope.apply(this, [this].concat(args));
+            return this;
+        };
+        this[name] = function (...args) {
+            let model = new this;
+            return model[name].apply(model, args);
+        };
+
+        return <any>this;
+    }
+
+    /**
+     * Adds a global scope to the model class (and its subclasses), which is
+     * applied automatically whenever models are fetched or counted, unless
+     * `withoutGlobalScope()` is called.
+     */
+    static addGlobalScope<T extends Model>(
+        name: string,
+        scope: (model: T) => void
+    ): new (...args) => T {
+        if (!this.hasOwnProperty("_globalScopes"))
+            this._globalScopes = assign({}, this._globalScopes);
+
+        this._globalScopes[name] = scope;
+
+        return <any>this;
+    }
+
     // Associations
 
     /**
@@ -1005,11 +2165,18 @@ export class Model extends Query {
         type?: string
     ): T {
         let model = (new ModelClass).use(this);
+        model._relation = {
+            type: "has",
+            ModelClass,
+            foreignKey,
+            typeField: type,
+            typeValue: this.constructor["name"]
+        };
         model.where(foreignKey, this.data[this.primary]);
         if (type) {
             model.where(type, this.constructor["name"]);
         }
-        return model;
+        return model._endRelation();
     }
 
     /**
@@ -1027,10 +2194,17 @@ export class Model extends Query {
         model._caller = this;
         model._foreignKey = foreignKey;
         model._type = type;
+        model._relation = {
+            type: "belongsTo",
+            ModelClass,
+            foreignKey,
+            typeField: type,
+            typeValue: ModelClass["name"]
+        };
         if (type && ModelClass["name"] != this.data[type]) {
-            return model.where(model.primary, null);
+            return model.where(model.primary, null)._endRelation();
         }
-        return model.where(model.primary, this.data[foreignKey]);
+        return model.where(model.primary, this.data[foreignKey])._endRelation();
     }
 
     /**
@@ -1047,11 +2221,19 @@ export class Model extends Query {
         foreignKey1: string,
         foreignKey2: string
     ): T {
-        let model = (new MiddleClass).use(this);
-        return (new ModelClass).use(this).whereIn(foreignKey1, query => {
+        let model = (new MiddleClass).use(this),
+            _model = (new ModelClass).use(this);
+        _model._relation = {
+            type: "hasThrough",
+            ModelClass,
+            MiddleClass,
+            foreignKey: foreignKey1,
+            foreignKey2
+        };
+        return _model.whereIn(foreignKey1, query => {
             query.select(model.primary).from(model.table)
                 .where(foreignKey2, this.data[this.primary]);
-        });
+        })._endRelation();
     }
 
     /**
@@ -1070,10 +2252,17 @@ export class Model extends Query {
     ): T {
         let model = (new ModelClass).use(this),
             _model = (new MiddleClass).use(this);
+        model._relation = {
+            type: "belongsToThrough",
+            ModelClass,
+            MiddleClass,
+            foreignKey: foreignKey1,
+            foreignKey2
+        };
         return model.where(model.primary, query => {
             query.select(foreignKey2).from(_model.table)
                 .where(_model.primary, this.data[foreignKey1]);
-        });
+        })._endRelation();
     }
 
     /**
@@ -1136,6 +2325,12 @@ export class Model extends Query {
 
     /** @private Handles `model.hasVia()` or `model.belongsToVia()`. */
     private _handleVia<T extends Model>(model: T, extra?: Query): T {
+        model._relation = {
+            type: "via",
+            ModelClass: <new (...args) => Model>model.constructor,
+            pivot: model._pivot,
+            pivotWhere: extra
+        };
         return model.whereIn(model.primary, query => {
             query.select(model._pivot[1]).from(model._pivot[0])
                 .where(model._pivot[2], this.data[this.primary]);
@@ -1148,7 +2343,16 @@ export class Model extends Query {
                 query["_where"] += " and " + extra["_where"];
                 query["_bindings"] = query["_bindings"].concat(extra["_bindings"]);
             }
-        });
+        })._endRelation();
+    }
+
+    /**
+     * @private Takes the conditions set so far as the ones that define the
+     * association, those added later apply to the eager loaded models too.
+     */
+    private _endRelation(): this {
+        this._relation.where = [this["_where"].length, this["_bindings"].length];
+        return this;
     }
 
     /**
@@ -1204,7 +2408,28 @@ export class Model extends Query {
 
         return this.select(fields)
             .join(pivotTable, foreignKey1, primary)
-            .where(foreignKey2, caller.data[caller.primary]);
+            .where(foreignKey2, caller.data[caller.primary])
+            ._endRelation();
+    }
+
+    /**
+     * Fills timestamps of the pivot table when writing it by `attach()`.
+     * 
+     * Can only be called after calling `model.hasVia()`, 
+     * `model.belongsToVia()`, or `model.wherePivot()`.
+     * 
+     * @param timestamps The fields of the pivot table, default
+     *  `created_at` and `updated_at`.
+     */
+    withTimestamps(timestamps?: ModelTimestamps): this {
+        if (!(this._caller instanceof Model)) {
+            throw new ReferenceError("Model.withTimestamps() can only be "
+                + "called after calling Model.hasVia(), Model.belongsToVia(), "
+                + "or Model.wherePivot().");
+        }
+
+        this._pivotTimestamps = normalizeTimestamps(timestamps || true);
+        return this;
     }
 
     /**
@@ -1296,7 +2521,9 @@ export class Model extends Query {
 
         let target = this._caller,
             id1: number = target.data[target.primary],
-            ids: number[] = [];
+            ids: number[] = [],
+            timestamps: ModelTimestamps = this._shouldTouch()
+                && this._pivotTimestamps || {};
 
         if (notArray) {
             for (let i in models) {
@@ -1370,6 +2597,11 @@ export class Model extends Query {
                 if (this._pivot[3])
                     data[this._pivot[3]] = this._pivot[4];
 
+                for (let field of [timestamps.createdAt, timestamps.updatedAt]) {
+                    if (field && data[field] === undefined)
+                        data[field] = new Date();
+                }
+
                 // Insert a new record.
                 return query.insert(data).then(query => {
                     return inserts.length ? doInsert(query) : query;
@@ -1397,6 +2629,9 @@ export class Model extends Query {
                     delete data[this._pivot[3]];
                 }
 
+                if (timestamps.updatedAt && data[timestamps.updatedAt] === undefined)
+                    data[timestamps.updatedAt] = new Date();
+
                 // Update the record.
                 return query.update(data).then(query => {
                     return updates.length ? doUpdate(query) : query;
@@ -1485,7 +2720,7 @@ export class Model extends Query {
 
 export interface Model {
     on(
-        event: "query" | "save" | "saved" | "insert" | "inserted" | "update" | "updated" | "delete" | "deleted" | "get",
+        event: "query" | "save" | "saved" | "insert" | "inserted" | "update" | "updated" | "delete" | "deleted" | "restore" | "restored" | "get",
         listener: (thisObj: this) => void
     ): this;
     on(event: string | symbol, listener: (...args: any[]) => void): this;
@@ -1501,4 +2736,85 @@ Object.defineProperties(Model.prototype, {
             this.extra = v;
         }
     }
-});
\ No newline at end of file
+});
+
+/** The hooks that methods of an observer are registered as. */
+const ObserverHooks: { [method: string]: Model.Hook } = {
+    creating: "beforeInsert",
+    created: "afterInsert",
+    updating: "beforeUpdate",
+    updated: "afterUpdate",
+    deleting: "beforeDelete",
+    deleted: "afterDelete"
+};
+
+/** Settings of the model that a field of the same name takes over. */
+const Settings = [
+    "softDelete",
+    "timestamps",
+    "versionKey",
+    "casts",
+    "rules",
+    "hidden",
+    "visible",
+    "appends",
+    "fillable",
+    "guarded",
+    "strictAssign",
+    "indexes",
+    "relations"
+];
+
+/** Gets the timestamp fields from the configuration. */
+function normalizeTimestamps(config: boolean | ModelTimestamps): ModelTimestamps {
+    if (config === true) {
+        return { createdAt: "created_at", updatedAt: "updated_at" };
+    } else {
+        return assign({ createdAt: "", updatedAt: "" }, config || {});
+    }
+}
+
+export namespace Model {
+    export type Hook = "beforeSave" | "afterSave"
+        | "beforeInsert" | "afterInsert"
+        | "beforeUpdate" | "afterUpdate"
+        | "beforeDelete" | "afterDelete";
+
+    /**
+     * An observer of models, methods that handle writing may return a
+     * promise, and `creating()`, `updating()` and `deleting()` may return
+     * `false` to cancel the operation.
+     */
+    export interface Observer<T extends Model = Model> {
+        creating?(model: T): any;
+        created?(model: T): any;
+        updating?(model: T): any;
+        updated?(model: T): any;
+        deleting?(model: T): any;
+        deleted?(model: T): any;
+        retrieved?(model: T): void;
+    }
+
+    export interface Relation {
+        /** `via` stands for both `hasVia` and `belongsToVia`. */
+        type: "has" | "belongsTo" | "hasThrough" | "belongsToThrough" | "via";
+        ModelClass: new (...args) => Model;
+        MiddleClass?: new (...args) => Model;
+        /** The foreign key, or the first one of a `through` association. */
+        foreignKey?: string;
+        /** The second foreign key of a `through` association. */
+        foreignKey2?: string;
+        /** The field that stores the model name of a polymorphic association. */
+        typeField?: string;
+        typeValue?: string;
+        /** `[pivotTable, relatedKey, currentKey, typeField, typeValue]` */
+        pivot?: string[];
+        /** Extra conditions of the pivot table set by `wherePivot()`. */
+        pivotWhere?: Query;
+        /**
+         * The length of the where clause and the number of its bindings
+         * when the association is defined.
+         */
+        where?: [number, number];
+    }
+}
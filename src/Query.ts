@@ -2,6 +2,7 @@ import { DB, i } from "./DB";
 import { PaginatedRecords } from "./interfaces";
 import { InsertionError, UpdateError } from "./Errors";
 import fill = require("lodash/fill");
+import assign = require("lodash/assign");
 
 /**
  * *Query Builder and beyond.*
@@ -32,6 +33,8 @@ export class Query extends DB {
     /** @private */
     private _union: string = "";
     /** @private */
+    private _lock: Query.Lock = null;
+    /** @private */
     private _bindings: any[] = [];
 
     /** Creates a new Query instance with a specified table name. */
@@ -627,6 +630,36 @@ export class Query extends DB {
         return this;
     }
 
+    /**
+     * Locks the selected rows for updating until the current transaction
+     * ends, e.g. `select ... for update`.
+     */
+    lockForUpdate(): this {
+        this._lock = assign({}, this._lock, { mode: "update" });
+        return this;
+    }
+
+    /**
+     * Locks the selected rows so that other transactions can read but not
+     * modify them until the current transaction ends.
+     */
+    sharedLock(): this {
+        this._lock = assign({}, this._lock, { mode: "share" });
+        return this;
+    }
+
+    /** Skips rows that are locked by other transactions instead of waiting. */
+    skipLocked(): this {
+        this._lock = assign({ mode: "update" }, this._lock, { skipLocked: true });
+        return this;
+    }
+
+    /** Fails immediately if the rows are locked by other transactions. */
+    noWait(): this {
+        this._lock = assign({ mode: "update" }, this._lock, { noWait: true });
+        return this;
+    }
+
     /**
      * Unites two SQL statements into one.
      * @param all Use `union all` to concatenate results.
@@ -951,4 +984,13 @@ export interface Query {
         listener: (thisObj: this) => void
     ): this;
     on(event: string | symbol, listener: (...args: any[]) => void): this;
-}
\ No newline at end of file
+}
+
+export namespace Query {
+    export interface Lock {
+        /** `update` for `lockForUpdate()` and `share` for `sharedLock()`. */
+        mode: "update" | "share";
+        skipLocked?: boolean;
+        noWait?: boolean;
+    }
+}
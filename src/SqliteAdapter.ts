@@ -0,0 +1,583 @@
+// Only used as types, the driver is required when connecting.
+import { Database } from "sqlite3";
+import { DB } from "./DB";
+import { Adapter } from "./Adapter";
+import { Table } from "./Table";
+import { Query } from "./Query";
+import { DBConfig, FieldConfig, IndexConfig } from "./interfaces";
+import {
+    DatabaseError,
+    UniqueConstraintError,
+    ForeignKeyConstraintError,
+    NotNullConstraintError,
+    ConnectionError,
+    QueryTimeoutError
+} from "./Errors";
+
+/**
+ * *SQLite Adapter.*
+ *
+ * This adapter connects to SQLite databases via the `sqlite3` driver, which
+ * is an optional peer dependency that should be installed manually. Set
+ * `database` to a file path, or set it to `:memory:` (or leave it empty) to
+ * open an in-memory database, which is handy for running tests without a
+ * database server.
+ *
+ * All instances that connect to the same DSN share one connection, so an
+ * in-memory database lives until one of them calls `db.close()`. While one
+ * of them is in a transaction, the others wait for it to end before running
+ * their queries, so they never join the transaction by accident.
+ */
+export class SqliteAdapter extends Adapter {
+    connection: Database;
+    transactionalDDL = true;
+
+    /** @private */
+    private _dsn: string;
+    /** @private Whether the current transaction is read only. */
+    private _readOnly = false;
+
+    static Connections: { [dsn: string]: Promise<Database> } = {};
+
+    /** @private The adapters that hold the transaction of connections. */
+    private static _locks: {
+        [dsn: string]: {
+            adapter: SqliteAdapter,
+            released: Promise<void>,
+            release: () => void
+        }
+    } = {};
+
+    connect(db: DB): Promise<DB> {
+        let dsn = db.dsn;
+
+        if (SqliteAdapter.Connections[dsn] === undefined) {
+            SqliteAdapter.Connections[dsn] = open(db.config).catch(err => {
+                delete SqliteAdapter.Connections[dsn];
+                throw err;
+            });
+        }
+
+        return SqliteAdapter.Connections[dsn].then(connection => {
+            this.connection = connection;
+            this._dsn = dsn;
+            return db;
+        });
+    }
+
+    query(db: DB, sql: string, bindings?: any[]): Promise<DB> {
+        return this._wait().then(() => this._query(db, sql, bindings));
+    }
+
+    /** @private */
+    private _query(db: DB, sql: string, bindings?: any[]): Promise<DB> {
+        let gets = ["select", "pragma", "with", "explain"];
+
+        return new Promise((resolve, reject) => {
+            if (gets.indexOf(db.command) >= 0) {
+                this.connection.all(sql, bindings, (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        db.data = rows;
+                        resolve(db);
+                    }
+                });
+            } else {
+                this.connection.run(sql, bindings, function (err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        // `lastID` is only meaningful for insert statements.
+                        db.insertId = db.command == "insert" ? this.lastID : 0;
+                        db.affectedRows = this.changes;
+                        resolve(db);
+                    }
+                });
+            }
+        });
+    }
+
+    release(): void {
+        // The connection is shared by the DSN, so just detach from it.
+        this.connection = null;
+    }
+
+    close(): void {
+        this._unlock();
+
+        if (this.connection) {
+            delete SqliteAdapter.Connections[this._dsn];
+            this.connection.close();
+            this.connection = null;
+        }
+    }
+
+    static close(): void {
+        for (let dsn in SqliteAdapter._locks) {
+            SqliteAdapter._locks[dsn].release();
+            delete SqliteAdapter._locks[dsn];
+        }
+
+        for (let dsn in SqliteAdapter.Connections) {
+            SqliteAdapter.Connections[dsn].then(connection => {
+                connection.close();
+            });
+            delete SqliteAdapter.Connections[dsn];
+        }
+    }
+
+    /** Methods for Table */
+
+    getDDL(table: Table): string {
+        let columns: string[] = [];
+        let foreigns: string[] = [];
+        let primary: string;
+
+        for (let key in table.schema) {
+            let field = table.schema[key];
+
+            if (field.primary && !field.autoIncrement)
+                primary = field.name;
+
+            if (field.foreignKey && field.foreignKey.table)
+                foreigns.push(this.getForeignKeyDDL(table, field));
+
+            columns.push(this.getColumnDDL(table, field));
+        }
+
+        let sql = "create table " + table.backquote(table.name) +
+            " (\n\t" + columns.join(",\n\t");
+
+        if (primary)
+            sql += ",\n\tprimary key (" + table.backquote(primary) + ")";
+
+        if (foreigns.length)
+            sql += ",\n\t" + foreigns.join(",\n\t");
+
+        return sql + "\n)";
+    }
+
+    /**
+     * SQLite can only add, rename and drop columns, a foreign key can only be
+     * added along with a new column.
+     */
+    getAlterDDL(table: Table): string[] {
+        let prefix = "alter table " + table.backquote(table.name) + " ";
+        let added: string[] = [];
+        let statements: string[] = [];
+
+        for (let alter of <Table.Alteration[]>table["_alters"]) {
+            let field = alter.field || table.schema[alter.name];
+
+            if (alter.action == "add") {
+                let column = this.getColumnDDL(table, field);
+
+                if (field.foreignKey && field.foreignKey.table) {
+                    column += " references "
+                        + table.backquote(field.foreignKey.table)
+                        + " (" + table.backquote(field.foreignKey.field) + ")"
+                        + " on delete " + field.foreignKey.onDelete
+                        + " on update " + field.foreignKey.onUpdate;
+                }
+
+                added.push(alter.name);
+                statements.push(prefix + "add column " + column);
+            } else if (alter.action == "rename") {
+                statements.push(prefix + "rename column "
+                    + table.backquote(alter.name) + " to "
+                    + table.backquote(alter.newName));
+            } else if (alter.action == "drop") {
+                statements.push(prefix + "drop column "
+                    + table.backquote(alter.name));
+            } else if (alter.action == "addForeignKey"
+                && added.indexOf(alter.name) >= 0) {
+                // Already defined along with the new column.
+                continue;
+            } else {
+                throw new Error(`SQLite doesn't support the '${alter.action}'`
+                    + " alteration on an existing column.");
+            }
+        }
+
+        return statements;
+    }
+
+    /**
+     * SQLite enforces a unique constraint on an existing table by a unique
+     * index, but can't add a primary key to it.
+     */
+    getAddIndexDDL(table: Table, index: IndexConfig): string {
+        if (index.type == "primary") {
+            throw new Error("SQLite doesn't support adding a primary key to "
+                + "an existing table.");
+        } else if (index.type == "unique") {
+            return this.getIndexDDL(table, index)
+                .replace(/^create index/, "create unique index");
+        } else {
+            return this.getIndexDDL(table, index);
+        }
+    }
+
+    /**
+     * Only indexes can be dropped, constraints defined along with the table
+     * can't, SQLite doesn't keep their names either.
+     */
+    getDropIndexDDL(table: Table, index: IndexConfig): string {
+        if (index.type == "primary" || !index.name) {
+            throw new Error("SQLite doesn't support dropping a constraint of "
+                + "an existing table.");
+        }
+
+        return "drop index " + table.backquote(index.name);
+    }
+
+    getColumnDDL(table: Table, field: FieldConfig): string {
+        // SQLite only allows auto-increment on an `integer primary key`.
+        let autoIncrement = field.primary && field.autoIncrement;
+        let type = field.type || "";
+
+        if (autoIncrement) {
+            type = "integer";
+        } else if (field.length instanceof Array) {
+            type += "(" + field.length.join(",") + ")";
+        } else if (field.length) {
+            type += "(" + field.length + ")";
+        }
+
+        let column = table.backquote(field.name) + (type ? " " + type : "");
+
+        if (autoIncrement)
+            column += " primary key autoincrement";
+
+        if (field.unique)
+            column += " unique";
+
+        if (field.notNull)
+            column += " not null";
+
+        if (field.default === null)
+            column += " default null";
+        else if (field.default !== undefined)
+            column += " default " + this.quoteValue(field.default);
+
+        return column;
+    }
+
+    getTables(db: DB): Promise<string[]> {
+        let sql = "select `name` from `sqlite_master` where `type` = ?"
+            + " and `name` not like ? order by `name`";
+
+        return db.query(sql, ["table", "sqlite_%"]).then(db => {
+            return db.data.map(row => <string>row.name);
+        });
+    }
+
+    describe(table: Table): Promise<Table> {
+        let name = table.backquote(table.name);
+        let columns: Adapter.ColumnInfo[];
+        let indexes: Adapter.IndexInfo[] = [];
+        let primary: Adapter.IndexInfo = {
+            name: "",
+            primary: true,
+            unique: true,
+            fields: []
+        };
+
+        return table.query("select `sql` from `sqlite_master` where `name` = ?",
+            [table.name]).then(() => {
+                let ddl: string = table.data.length ? table.data[0].sql : "";
+                let autoIncrement = /\bautoincrement\b/i.test(ddl);
+
+                return table.query(`pragma table_info(${name})`).then(() => {
+                    let rows = (<any[]>table.data).filter(row => row.pk > 0);
+
+                    columns = table.data.map(row => (<Adapter.ColumnInfo>{
+                        name: row.name,
+                        type: row.type,
+                        notNull: row.notnull == 1,
+                        default: row.dflt_value,
+                        // Only an `integer primary key` can auto-increment.
+                        autoIncrement: autoIncrement && row.pk > 0
+                            && rows.length === 1
+                    }));
+                    primary.fields = rows.sort((a, b) => a.pk - b.pk)
+                        .map(row => <string>row.name);
+
+                    if (primary.fields.length)
+                        indexes.push(primary);
+
+                    return table.query(`pragma foreign_key_list(${name})`);
+                });
+            }).then(() => {
+                for (let row of <any[]>table.data) {
+                    for (let column of columns) {
+                        if (column.name == row.from) {
+                            column.foreignKey = {
+                                table: row.table,
+                                field: row.to,
+                                onDelete: row.on_delete.toLowerCase(),
+                                onUpdate: row.on_update.toLowerCase()
+                            };
+                        }
+                    }
+                }
+
+                return table.query(`pragma index_list(${name})`);
+            }).then(() => {
+                // The primary key has been read from the table info.
+                let list = (<any[]>table.data).filter(row => row.origin != "pk"),
+                    loop = (i: number): Promise<Table> => {
+                        if (i === list.length)
+                            return Promise.resolve(table);
+
+                        let sql = `pragma index_info(${table.backquote(list[i].name)})`;
+
+                        return table.query(sql).then(() => {
+                            indexes.push({
+                                // SQLite doesn't keep names of constraints.
+                                name: /^sqlite_autoindex_/.test(list[i].name)
+                                    ? ""
+                                    : list[i].name,
+                                primary: false,
+                                unique: list[i].unique == 1,
+                                fields: (<any[]>table.data).sort((a, b) => {
+                                    return a.seqno - b.seqno;
+                                }).map(row => <string>row.name)
+                            });
+
+                            return loop(i + 1);
+                        });
+                    };
+
+                return loop(0);
+            }).then(() => this.fillSchema(table, columns, indexes));
+    }
+
+    /**
+     * @protected SQLite escapes quotes by doubling them instead of using
+     * back-slashes.
+     */
+    protected quoteValue(value: any): string {
+        switch (typeof value) {
+            case "number":
+                return String(value);
+            case "boolean":
+                return value ? "1" : "0";
+            default:
+                return this.quote + String(value).split(this.quote)
+                    .join(this.quote + this.quote) + this.quote;
+        }
+    }
+
+    random(query: Query): Query {
+        query["_orderBy"] = "random()";
+        return query;
+    }
+
+    limit(query: Query, length: number, offset?: number): Query {
+        query["_limit"] = offset ? `${length} offset ${offset}` : length;
+        return query;
+    }
+
+    /**
+     * Transactions in SQLite are always serializable, so the isolation level
+     * is ignored, and a read-only transaction is enforced by the
+     * `query_only` pragma.
+     */
+    getBeginSQL(options: DB.TransactionOptions): string[] {
+        super.getBeginSQL(options); // Checks the options.
+
+        this._readOnly = !!options.readOnly;
+
+        if (this._readOnly)
+            return ["pragma query_only = 1", "begin"];
+        else
+            return ["begin"];
+    }
+
+    /**
+     * SQLite reports constraint failures with `SQLITE_CONSTRAINT`, and tells
+     * the kind of the constraint in the message, e.g.
+     * `UNIQUE constraint failed: users.email`.
+     */
+    parseError(err: any): Adapter.ParsedError {
+        let message = String(err.message || "");
+
+        switch (err.code) {
+            case "SQLITE_CONSTRAINT":
+                let matches = /(UNIQUE|NOT NULL|FOREIGN KEY) constraint failed(?:: (.+))?/.exec(message);
+
+                if (!matches) return null;
+
+                let type = matches[1] == "UNIQUE" ? UniqueConstraintError
+                    : matches[1] == "NOT NULL" ? NotNullConstraintError
+                        : ForeignKeyConstraintError,
+                    // Composite indexes list all columns, e.g. `t.a, t.b`.
+                    columns = matches[2] ? matches[2].split(", ") : [],
+                    [table, field] = columns.length
+                        ? columns[0].split(".")
+                        : [null, null];
+
+                return {
+                    type,
+                    table,
+                    field: columns.length === 1 ? field : null
+                };
+
+            case "SQLITE_BUSY":
+            case "SQLITE_LOCKED":
+                return { type: QueryTimeoutError };
+
+            case "SQLITE_CANTOPEN":
+                return { type: ConnectionError };
+
+            default:
+                return null;
+        }
+    }
+
+    /** SQLite reports lock conflicts with `SQLITE_BUSY` or `SQLITE_LOCKED`. */
+    isRetryable(err: any): boolean {
+        if (err instanceof DatabaseError)
+            err = err.original;
+
+        return !!err && (err.code == "SQLITE_BUSY" || err.code == "SQLITE_LOCKED");
+    }
+
+    transaction(
+        db: DB,
+        cb: (db: DB) => any,
+        options?: DB.TransactionOptions
+    ): Promise<DB> {
+        if (typeof cb == "function" || this.transactionLevel > 0)
+            return super.transaction(db, cb, options);
+
+        // Begins a transaction only when the connection is not held by
+        // another instance.
+        return this._lock().then(() => {
+            return super.transaction(db, null, options);
+        }).catch(err => {
+            let fail = () => { throw err; };
+            return this._endTransaction(db).then(fail, fail);
+        });
+    }
+
+    commit(db: DB): Promise<DB> {
+        return super.commit(db).then(db => {
+            return this._endTransaction(db).then(() => db);
+        }, err => {
+            let fail = () => { throw err; };
+            return this._endTransaction(db).then(fail, fail);
+        });
+    }
+
+    rollback(db: DB): Promise<DB> {
+        return super.rollback(db).then(db => {
+            return this._endTransaction(db).then(() => db);
+        }, err => {
+            let fail = () => { throw err; };
+            return this._endTransaction(db).then(fail, fail);
+        });
+    }
+
+    /**
+     * @private Turns the `query_only` pragma off after a read-only
+     * transaction, and releases the connection, once the transaction ends,
+     * whether it's committed, rolled back or failed to begin.
+     */
+    private _endTransaction(db: DB): Promise<void> {
+        if (this.transactionLevel > 0)
+            return Promise.resolve();
+
+        let reset: Promise<any> = this._readOnly
+            ? db.query("pragma query_only = 0")
+            : Promise.resolve();
+
+        this._readOnly = false;
+
+        return reset.then(() => this._unlock(), err => {
+            this._unlock();
+            throw err;
+        });
+    }
+
+    /** @private Waits until the connection is not held by another instance. */
+    private _wait(): Promise<void> {
+        let lock = SqliteAdapter._locks[this._dsn];
+
+        if (lock && lock.adapter !== this) {
+            return lock.released.then(() => this._wait());
+        } else {
+            return Promise.resolve();
+        }
+    }
+
+    /** @private Holds the connection for the transaction of this instance. */
+    private _lock(): Promise<void> {
+        return this._wait().then(() => {
+            let lock = SqliteAdapter._locks[this._dsn];
+
+            if (lock && lock.adapter !== this) // taken in the meantime
+                return this._lock();
+
+            if (!lock) {
+                let release: () => void;
+                let released = new Promise<void>(resolve => {
+                    release = resolve;
+                });
+
+                SqliteAdapter._locks[this._dsn] = {
+                    adapter: this,
+                    released,
+                    release
+                };
+            }
+        });
+    }
+
+    /** @private */
+    private _unlock(): void {
+        let lock = SqliteAdapter._locks[this._dsn];
+
+        if (lock && lock.adapter === this) {
+            delete SqliteAdapter._locks[this._dsn];
+            lock.release();
+        }
+    }
+
+    /**
+     * SQLite locks the whole database in a transaction, so there is no
+     * locking clause.
+     */
+    getLockSQL(): string {
+        return "";
+    }
+}
+
+/** Opens a new SQLite database according to the given configurations. */
+function open(config: DBConfig): Promise<Database> {
+    let filename = config.database;
+
+    if (!filename || config.protocol == "memory")
+        filename = ":memory:";
+
+    return new Promise((resolve, reject) => {
+        // Required lazily, so that users of other databases don't have to
+        // load the native module.
+        let sqlite3: typeof import("sqlite3") = require("sqlite3");
+        let connection = new sqlite3.Database(filename, err => {
+            if (err) {
+                reject(err);
+            } else {
+                if (config.timeout)
+                    connection.configure("busyTimeout", config.timeout);
+
+                // Foreign keys are not enforced by SQLite unless turned on.
+                connection.run("pragma foreign_keys = on", err => {
+                    err ? reject(err) : resolve(connection);
+                });
+            }
+        });
+    });
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
-import { FieldConfig, ForeignKeyConfig } from "./interfaces";
+import { FieldConfig, ForeignKeyConfig, IndexConfig } from "./interfaces";
 import { DB } from "./DB";
 import { Model } from "./Model";
+import { NotFoundError } from "./Errors";
 import assign = require("lodash/assign");
 
 /**
@@ -13,7 +14,13 @@ import assign = require("lodash/assign");
 export class Table extends DB {
     name: string;
     schema: { [field: string]: FieldConfig } = {};
+    /** Table-level indexes and constraints. */
+    indexes: IndexConfig[] = [];
     private _current: string;
+    /** @private Whether the table is in alter mode. */
+    private _altering = false;
+    /** @private Alterations that will be applied by `table.alter()`. */
+    private _alters: Table.Alteration[] = [];
 
     /** Creates a new instance with a specified table name. */
     constructor(name: string, schema?: { [field: string]: FieldConfig });
@@ -24,6 +31,7 @@ export class Table extends DB {
             let model: Model = args[0];
             this.name = model.table;
             this.schema = model.schema;
+            this.indexes = [].concat(model["_indexes"]);
             this.use(model);
         } else {
             this.name = args[0];
@@ -52,6 +60,58 @@ export class Table extends DB {
         }
 
         this.schema[this._current] = assign({}, FieldConfig, _field);
+
+        if (this._altering) {
+            this._alters.push({
+                action: "add",
+                name: this._current,
+                field: this.schema[this._current]
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Modifies an existing column in alter mode, chain other methods to
+     * redefine the column, e.g. `modifyColumn("name", "varchar", 64).notNull()`.
+     */
+    modifyColumn(name: string): this;
+    modifyColumn(name: string, type: string): this;
+    modifyColumn(name: string, type: string, length: number | [number, number]): this;
+    modifyColumn(field: FieldConfig): this;
+    modifyColumn(field: string | FieldConfig, type = "", length = 0) {
+        let altering = this._altering;
+
+        this._altering = false;
+        this.addColumn(<any>field, type, length);
+        this._altering = altering;
+        this._alters.push({
+            action: "modify",
+            name: this._current,
+            field: this.schema[this._current]
+        });
+
+        return this;
+    }
+
+    /** Renames an existing column in alter mode. */
+    renameColumn(name: string, newName: string): this {
+        if (this.schema[name]) {
+            this.schema[newName] = assign({}, this.schema[name], {
+                name: newName
+            });
+            delete this.schema[name];
+        }
+
+        this._alters.push({ action: "rename", name, newName });
+        return this;
+    }
+
+    /** Drops an existing column in alter mode. */
+    dropColumn(name: string): this {
+        delete this.schema[name];
+        this._alters.push({ action: "drop", name });
         return this;
     }
 
@@ -133,12 +193,53 @@ export class Table extends DB {
             foreignKey
         );
 
+        if (this._altering) {
+            this._alters.push({
+                action: "addForeignKey",
+                name: this._current,
+                field: this.schema[this._current]
+            });
+        }
+
+        return this;
+    }
+
+    /** Adds a foreign key constraint to an existing column in alter mode. */
+    addForeignKey(field: string, config: ForeignKeyConfig): this;
+    addForeignKey(
+        field: string,
+        table: string,
+        foreignField: string,
+        onDelete?: ForeignKeyConfig["onDelete"],
+        onUpdate?: ForeignKeyConfig["onUpdate"]
+    ): this;
+    addForeignKey(field: string, ...args) {
+        if (this.schema[field] === undefined)
+            this.schema[field] = assign({}, FieldConfig, { name: field });
+
+        let altering = this._altering;
+
+        this._current = field;
+        this._altering = true;
+        this.foreignKey.apply(this, args);
+        this._altering = altering;
+
+        return this;
+    }
+
+    /**
+     * Drops a foreign key constraint in alter mode.
+     * @param name The name of the constraint, which is the field name if the
+     *  foreign key is defined by Modelar.
+     */
+    dropForeignKey(name: string): this {
+        this._alters.push({ action: "dropForeignKey", name });
         return this;
     }
 
     /** Gets the DDL statement by the definition. */
     getDDL(): string {
-        return this.adapter.getDDL(this);
+        return this.adapter.getCreateDDL(this).join(";\n");
     }
 
     /** An alias of `table.getDDL()`. */
@@ -161,6 +262,253 @@ export class Table extends DB {
         return this.adapter.drop(this) as Promise<this>;
     }
 
+    /**
+     * Adds a secondary index on one or more fields.
+     * @param name The name of the index, default `<table>_<fields>_index`.
+     */
+    index(fields: string | string[], name?: string): this {
+        return this._addIndex("index", fields, name);
+    }
+
+    /**
+     * Adds a unique constraint on one or more fields.
+     * @param name The name of the constraint, default `<table>_<fields>_unique`.
+     */
+    uniqueIndex(fields: string | string[], name?: string): this {
+        return this._addIndex("unique", fields, name);
+    }
+
+    /**
+     * Sets a (composite) primary key on the given fields, use it instead of
+     * `primary()` when the key consists of several fields.
+     * @param name The name of the constraint, if omitted, the database will
+     *  decide it.
+     */
+    primaryKey(fields: string[], name?: string): this {
+        return this._addIndex("primary", fields, name);
+    }
+
+    /** @private */
+    private _addIndex(
+        type: IndexConfig["type"],
+        fields: string | string[],
+        name?: string
+    ): this {
+        let index: IndexConfig = { type, fields: [].concat(fields) };
+
+        if (name)
+            index.name = name;
+
+        this.indexes.push(index);
+        return this;
+    }
+
+    /**
+     * Reads the columns, indexes and foreign keys of the existing table from
+     * the database into `table.schema` and `table.indexes`.
+     */
+    describe(): Promise<this> {
+        return this.adapter.describe(this) as Promise<this>;
+    }
+
+    /**
+     * Compares the schema of the table to the live one in the database, and
+     * reports missing and extra columns and indexes, as well as mismatched
+     * types, defaults and constraints. Changes the adapter can't perform are
+     * reported as `unsupported` instead of statements.
+     */
+    diff(options: Table.DiffOptions = {}): Promise<Table.Diff> {
+        let ignore = options.ignore || [],
+            live = new Table(this.name).use(this);
+
+        return live.describe().then(() => true).catch(err => {
+            if (err instanceof NotFoundError)
+                return false;
+            else
+                throw err;
+        }).then(exists => {
+            let diff: Table.Diff = {
+                exists,
+                missing: [],
+                extra: [],
+                mismatched: [],
+                missingIndexes: [],
+                extraIndexes: []
+            };
+            // Changes are kept apart, so that one the adapter can't perform
+            // doesn't hold back the others.
+            let changes: Array<{
+                field?: string,
+                index?: IndexConfig,
+                getDDL: () => string[]
+            }> = [];
+            let alter = (cb: (table: Table) => void) => () => {
+                let table = new Table(this.name).use(this);
+
+                table._altering = true;
+                cb(table);
+
+                return table.getAlterDDL();
+            };
+
+            for (let name in this.schema) {
+                let field = this.schema[name],
+                    actual = live.schema[name];
+
+                if (!actual) {
+                    diff.missing.push(name);
+                    changes.push({
+                        field: name,
+                        getDDL: alter(table => {
+                            table.addColumn(field);
+
+                            if (field.foreignKey && field.foreignKey.table)
+                                table.addForeignKey(name, field.foreignKey);
+                        })
+                    });
+
+                    continue;
+                }
+
+                let mismatches = compareFields(field, actual),
+                    foreign = false;
+
+                for (let mismatch of mismatches) {
+                    if (mismatch.property == "foreignKey")
+                        foreign = true;
+                }
+
+                diff.mismatched = diff.mismatched.concat(mismatches);
+
+                if (!mismatches.length)
+                    continue;
+
+                changes.push({
+                    field: name,
+                    getDDL: alter(table => {
+                        if (mismatches.length > (foreign ? 1 : 0))
+                            table.modifyColumn(field);
+
+                        if (foreign) {
+                            if (actual.foreignKey && actual.foreignKey.table)
+                                table.dropForeignKey(name);
+
+                            if (field.foreignKey && field.foreignKey.table)
+                                table.addForeignKey(name, field.foreignKey);
+                        }
+                    })
+                });
+            }
+
+            for (let name in live.schema) {
+                if (!this.schema[name] && ignore.indexOf(name) === -1) {
+                    diff.extra.push(name);
+                    changes.push({
+                        field: name,
+                        getDDL: alter(table => table.dropColumn(name))
+                    });
+                }
+            }
+
+            // Indexes are compared by their type and columns, names vary
+            // between adapters.
+            let expected = this.indexes.map(getIndexKey),
+                actual = live.indexes.map(getIndexKey);
+
+            for (let name in live.schema) {
+                if (live.schema[name].primary)
+                    actual.push("primary:" + name);
+
+                if (live.schema[name].unique)
+                    actual.push("unique:" + name);
+            }
+
+            // Extra indexes are dropped before the columns they cover.
+            let drops = live.indexes.filter(index => {
+                return expected.indexOf(getIndexKey(index)) === -1;
+            });
+
+            changes = drops.map(index => ({
+                index,
+                getDDL: () => [this.adapter.getDropIndexDDL(live, index)]
+            }) as typeof changes[0]).concat(changes);
+            diff.extraIndexes = drops;
+
+            for (let index of this.indexes) {
+                if (actual.indexOf(getIndexKey(index)) === -1) {
+                    diff.missingIndexes.push(index);
+                    changes.push({
+                        index,
+                        getDDL: () => [this.adapter.getAddIndexDDL(this, index)]
+                    });
+                }
+            }
+
+            if (options.statements && !exists) {
+                diff.statements = this.adapter.getCreateDDL(this);
+                diff.unsupported = [];
+            } else if (options.statements) {
+                diff.statements = [];
+                diff.unsupported = [];
+
+                for (let change of changes) {
+                    try {
+                        diff.statements = diff.statements.concat(
+                            change.getDDL());
+                    } catch (err) {
+                        let unsupported: Table.Unsupported = {
+                            reason: err.message
+                        };
+
+                        if (change.field)
+                            unsupported.field = change.field;
+                        else
+                            unsupported.index = change.index;
+
+                        diff.unsupported.push(unsupported);
+                    }
+                }
+            }
+
+            return diff;
+        });
+    }
+
+    /** Gets the DDL statements that alter the table. */
+    getAlterDDL(): string[] {
+        return this.adapter.getAlterDDL(this);
+    }
+
+    /** Applies the alterations to the table in the database. */
+    alter(): Promise<this>;
+    /**
+     * Enters alter mode and applies the alterations defined in the callback
+     * function to the table in the database.
+     * @example
+     *  table.alter(table => {
+     *      table.addColumn("age", "int").default(null);
+     *      table.renameColumn("name", "username");
+     *      table.dropColumn("score");
+     *  });
+     */
+    alter(cb: (this: this, table: this) => void): Promise<this>;
+    alter(cb?: (this: this, table: this) => void) {
+        if (cb) {
+            this._altering = true;
+
+            try {
+                cb.call(this, this);
+            } finally {
+                this._altering = false;
+            }
+        }
+
+        return this.adapter.alter(this).then(() => {
+            this._alters = [];
+            return this;
+        }) as Promise<this>;
+    }
+
     /**
      * Drops a table from the database.
      *
@@ -169,4 +517,158 @@ export class Table extends DB {
     static drop(table: string): Promise<Table> {
         return (new this(table)).drop();
     }
+
+    /**
+     * Reads the schema of an existing table from the database.
+     *
+     * @param table The table name you're going to describe.
+     */
+    static describe(table: string): Promise<Table> {
+        return (new this(table)).describe();
+    }
+
+    /**
+     * Alters a table in the database.
+     *
+     * @param table The table name you're going to alter.
+     * @param cb A function that defines the alterations.
+     */
+    static alter(
+        table: string,
+        cb: (this: Table, table: Table) => void
+    ): Promise<Table> {
+        return (new this(table)).alter(cb);
+    }
+}
+
+/** Identifies an index by its type and columns, e.g. `unique:email,name`. */
+function getIndexKey(index: IndexConfig): string {
+    return index.type + ":" + index.fields.join(",");
+}
+
+/** Gets the differences between an expected field and the actual one. */
+function compareFields(field: FieldConfig, actual: FieldConfig): Table.Mismatch[] {
+    let mismatches: Table.Mismatch[] = [],
+        // The adapter decides the type of an auto-increment primary key.
+        typed = !(field.primary && field.autoIncrement),
+        check = (property: keyof FieldConfig, expected: any, value: any) => {
+            if (expected !== value) {
+                mismatches.push({
+                    field: field.name,
+                    property,
+                    expected: field[property],
+                    actual: actual[property]
+                });
+            }
+        };
+
+    if (typed && field.type) {
+        let alias = (type: string) => {
+            type = type.toLowerCase();
+            return type == "integer" ? "int" : type;
+        };
+
+        check("type", alias(field.type), alias(actual.type));
+    }
+
+    if (typed && field.length)
+        check("length", String(field.length), String(actual.length));
+
+    check("primary", !!field.primary, !!actual.primary);
+    check("autoIncrement", !!field.autoIncrement, !!actual.autoIncrement);
+    check("unique", !!field.unique, !!actual.unique);
+    check("unsigned", !!field.unsigned, !!actual.unsigned);
+
+    // Primary keys are always not null.
+    if (!field.primary)
+        check("notNull", !!field.notNull, !!actual.notNull);
+
+    if (field.default !== undefined) {
+        let normalize = (value: any) => {
+            if (value === null)
+                return null;
+            else if (typeof value == "boolean")
+                return value ? "1" : "0";
+            else
+                return String(value);
+        };
+
+        check("default", normalize(field.default), normalize(actual.default));
+    }
+
+    let foreignKey = (config: ForeignKeyConfig) => {
+        if (!config || !config.table)
+            return "";
+
+        return [
+            config.table,
+            config.field,
+            config.onDelete,
+            config.onUpdate
+        ].join(" ");
+    };
+
+    check("foreignKey", foreignKey(field.foreignKey), foreignKey(actual.foreignKey));
+
+    return mismatches;
+}
+
+export namespace Table {
+    export interface DiffOptions {
+        /**
+         * Produces the statements that reconcile the database with the
+         * schema, which are ALTER statements, or the CREATE statements if
+         * the table doesn't exist.
+         */
+        statements?: boolean;
+        /** Columns that are not defined in the schema but shouldn't be dropped. */
+        ignore?: string[];
+    }
+
+    export interface Diff {
+        /** Whether the table exists in the database. */
+        exists: boolean;
+        /** Columns that are defined but don't exist in the database. */
+        missing: string[];
+        /** Columns that exist in the database but aren't defined. */
+        extra: string[];
+        /** Properties of columns that differ from the definitions. */
+        mismatched: Mismatch[];
+        /** Indexes that are defined but don't exist in the database. */
+        missingIndexes: IndexConfig[];
+        /** Indexes that exist in the database but aren't defined. */
+        extraIndexes: IndexConfig[];
+        /** Statements that reconcile the database with the definitions. */
+        statements?: string[];
+        /** Changes the adapter can't perform, left out of the statements. */
+        unsupported?: Unsupported[];
+    }
+
+    export interface Unsupported {
+        /** The column that can't be altered. */
+        field?: string;
+        /** The index that can't be added or dropped. */
+        index?: IndexConfig;
+        reason: string;
+    }
+
+    export interface Mismatch {
+        field: string;
+        property: keyof FieldConfig;
+        expected: any;
+        actual: any;
+    }
+
+    export interface Alteration {
+        action: "add" | "modify" | "rename" | "drop" | "addForeignKey" | "dropForeignKey";
+        /** The column name, or the constraint name when dropping a foreign key. */
+        name: string;
+        /** The new column name when renaming a column. */
+        newName?: string;
+        /**
+         * The column definition when the alteration is queued, so that a
+         * later rename doesn't lose it.
+         */
+        field?: FieldConfig;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,55 @@
+import { Cast, CastType } from "./interfaces";
+
+/**
+ * Casts that can be referred by name in `@cast()` or `ModelConfig.casts`,
+ * add a new property to register a custom cast. `null` and `undefined` are
+ * never passed to a cast.
+ */
+export const casts: { [name: string]: Cast } = {
+    json: {
+        get: value => typeof value == "string" ? JSON.parse(value) : value,
+        set: value => JSON.stringify(value)
+    },
+    boolean: {
+        get: value => typeof value == "string"
+            ? ["", "0", "false"].indexOf(value.toLowerCase()) === -1
+            : !!value,
+        set: value => casts.boolean.get(value) ? 1 : 0
+    },
+    date: {
+        get: value => toDate(value),
+        set: value => toDate(value)
+    },
+    integer: {
+        get: value => parseInt(value, 10),
+        set: value => parseInt(value, 10)
+    },
+    decimal: {
+        get: value => parseFloat(value),
+        set: value => parseFloat(value)
+    }
+};
+
+/** Gets a cast by its name, its class, or the cast itself. */
+export function getCast(type: CastType): Cast {
+    if (typeof type == "function") {
+        return new type;
+    } else if (typeof type == "object") {
+        return type;
+    } else if (casts[type] === undefined) {
+        throw new TypeError(`Cast '${type}' is not registered.`);
+    } else {
+        return casts[type];
+    }
+}
+
+function toDate(value: any): Date {
+    if (value instanceof Date) {
+        return value;
+    } else if (typeof value == "string" && /^\d+(\.\d+)?$/.test(value)) {
+        // A timestamp in milliseconds that is stored as text.
+        return new Date(Number(value));
+    } else {
+        return new Date(value);
+    }
+}
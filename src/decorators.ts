@@ -1,4 +1,12 @@
-import { FieldConfig, ForeignKeyConfig } from "./interfaces";
+import {
+    FieldConfig,
+    ForeignKeyConfig,
+    IndexConfig,
+    CastType,
+    ValidationRule
+} from "./interfaces";
+import { getCast } from "./casts";
+import { validators } from "./validators";
 import { Model } from "./Model";
 import assign = require("lodash/assign");
 
@@ -43,6 +51,183 @@ export function primary(proto: Model, prop: string) {
     proto.schema[prop].primary = true;
 }
 
+/**
+ * Marks a field that stores the time when the model is soft deleted, e.g.
+ * `@softDelete deleted_at: Date`.
+ */
+export function softDelete(proto: Model, prop: string) {
+    field(proto, prop);
+    proto["_softDelete"] = prop;
+}
+
+/**
+ * Marks a field that stores the version of the record for optimistic
+ * locking, e.g. `@version version: number`.
+ */
+export function version(proto: Model, prop: string) {
+    field(proto, prop);
+    proto["_versionKey"] = prop;
+}
+
+/**
+ * Declares a cast of the field, e.g. `@cast("json")`, `@cast("boolean")`, or
+ * `@cast(MoneyCast)` with a class that implements `get()` and `set()`.
+ */
+export function cast(type: CastType): ModelDecorator {
+    let _cast = getCast(type);
+
+    return (proto: Model, prop: string) => {
+        if (!proto.hasOwnProperty("_casts"))
+            proto["_casts"] = assign({}, proto["_casts"]);
+
+        proto["_casts"][prop] = _cast;
+    };
+}
+
+function addRule(rule: ValidationRule): ModelDecorator {
+    return (proto: Model, prop: string) => {
+        if (!proto.hasOwnProperty("_rules"))
+            proto["_rules"] = assign({}, proto["_rules"]);
+
+        let rules = proto["_rules"];
+        rules[prop] = (rules[prop] || []).concat(rule);
+    };
+}
+
+/** The field must not be empty, e.g. `@required`. */
+export function required(message: string): ModelDecorator;
+export function required(proto: Model, prop: string): void;
+export function required(...args) {
+    if (typeof args[0] === "object") {
+        addRule(validators.required())(args[0], args[1]);
+    } else {
+        return addRule(validators.required(args[0]));
+    }
+}
+
+/** The length of the field must be within the range, e.g. `@length(1, 255)`. */
+export function length(min: number, max?: number, message?: string): ModelDecorator {
+    return addRule(validators.length(min, max, message));
+}
+
+/** The field must be an email address, e.g. `@email`. */
+export function email(message: string): ModelDecorator;
+export function email(proto: Model, prop: string): void;
+export function email(...args) {
+    if (typeof args[0] === "object") {
+        addRule(validators.email())(args[0], args[1]);
+    } else {
+        return addRule(validators.email(args[0]));
+    }
+}
+
+/** The field must match the regular expression, e.g. `@match(/^\d+$/)`. */
+export function match(re: RegExp, message?: string): ModelDecorator {
+    return addRule(validators.match(re, message));
+}
+
+/**
+ * The field must be one of the given values, e.g. `@isIn(["a", "b"])`, it's
+ * exported as `in` as well.
+ */
+export function isIn(values: any[], message?: string): ModelDecorator {
+    return addRule(validators.in(values, message));
+}
+
+export { isIn as in };
+
+/** The field must be unique in the table, e.g. `@uniqueIn("users")`. */
+export function uniqueIn(table: string, field?: string, message?: string): ModelDecorator {
+    return addRule(validators.uniqueIn(table, field, message));
+}
+
+/**
+ * Validates the field with a custom function, or a rule object, e.g.
+ * `@validate(value => value > 0, "{field} must be positive.")`.
+ */
+export function validate(rule: ValidationRule): ModelDecorator;
+export function validate(
+    test: (value: any, model: Model, field: string) => boolean | Promise<boolean>,
+    message?: string
+): ModelDecorator;
+export function validate(rule, message?: string) {
+    if (typeof rule == "function")
+        rule = validators.custom(rule, message);
+
+    return addRule(rule);
+}
+
+/** Hides the field in serialization, e.g. `@hidden password: string`. */
+export function hidden(proto: Model, prop: string) {
+    addToList(proto, "_hidden", prop);
+}
+
+/**
+ * Makes the field visible in serialization, once a field is marked, fields
+ * that aren't marked will be absent.
+ */
+export function visible(proto: Model, prop: string) {
+    addToList(proto, "_visible", prop);
+}
+
+/** Adds the computed property (getter) in serialization. */
+export function appended(proto: Model, prop: string) {
+    addToList(proto, "_appends", prop);
+}
+
+function addToList(
+    proto: Model,
+    name: "_hidden" | "_visible" | "_appends" | "_fillable" | "_guarded",
+    prop: string
+) {
+    if (!proto.hasOwnProperty(name))
+        proto[name] = proto[name] ? [].concat(proto[name]) : [];
+
+    if (proto[name].indexOf(prop) === -1)
+        proto[name].push(prop);
+}
+
+/** Allows the field to be mass assigned, see `Model.prototype.fillable`. */
+export function fillable(proto: Model, prop: string) {
+    addToList(proto, "_fillable", prop);
+}
+
+/** Prevents the field from being mass assigned. */
+export function guarded(proto: Model, prop: string) {
+    addToList(proto, "_guarded", prop);
+}
+
+/**
+ * Makes `model.assign()` throw a `MassAssignmentError` when the data carries
+ * fields that are not mass assignable.
+ */
+export function strictAssign(constructor: typeof Model) {
+    constructor.prototype["_strictAssign"] = true;
+}
+
+/** Marks a field that stores the time when the model is created. */
+export function createdAt(proto: Model, prop: string) {
+    setTimestamp(proto, "createdAt", prop);
+}
+
+/** Marks a field that stores the time when the model is last updated. */
+export function updatedAt(proto: Model, prop: string) {
+    setTimestamp(proto, "updatedAt", prop);
+}
+
+function setTimestamp(
+    proto: Model,
+    name: "createdAt" | "updatedAt",
+    prop: string
+) {
+    field(proto, prop);
+
+    if (!proto.hasOwnProperty("_timestamps"))
+        proto["_timestamps"] = assign({}, proto["_timestamps"]);
+
+    proto["_timestamps"][name] = prop;
+}
+
 export function searchable(proto: Model, prop: string) {
     if (!proto.hasOwnProperty("searchable"))
         proto.searchable = proto.searchable ? [].concat(proto.searchable) : [];
@@ -124,4 +309,40 @@ export function foreignKey(input, field?: string, onDelete = "set null", onUpdat
             foreignKey
         );
     }
-}
\ No newline at end of file
+}
+
+export type ClassDecorator = (constructor: typeof Model) => void;
+
+function addIndex(
+    type: IndexConfig["type"],
+    fields: string | string[],
+    name?: string
+): ClassDecorator {
+    return (constructor: typeof Model) => {
+        let proto = constructor.prototype,
+            index: IndexConfig = { type, fields: [].concat(fields) };
+
+        if (name)
+            index.name = name;
+
+        if (!proto.hasOwnProperty("_indexes"))
+            proto["_indexes"] = proto["_indexes"] ? [].concat(proto["_indexes"]) : [];
+
+        proto["_indexes"].push(index);
+    };
+}
+
+/** Adds a secondary index on one or more fields to the model class. */
+export function index(fields: string | string[], name?: string): ClassDecorator {
+    return addIndex("index", fields, name);
+}
+
+/** Adds a unique constraint on one or more fields to the model class. */
+export function uniqueIndex(fields: string | string[], name?: string): ClassDecorator {
+    return addIndex("unique", fields, name);
+}
+
+/** Sets a (composite) primary key on the given fields of the model class. */
+export function primaryKey(fields: string[], name?: string): ClassDecorator {
+    return addIndex("primary", fields, name);
+}
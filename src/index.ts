@@ -1,11 +1,16 @@
 export * from "./Errors";
 export * from "./Adapter";
+export * from "./SqliteAdapter";
+export * from "./MockAdapter";
 export * from "./DB";
 export * from "./Table";
+export * from "./Migrator";
 export * from "./Query";
 export * from "./Model";
 export * from "./User";
 export * from "./interfaces";
+export * from "./casts";
+export * from "./validators";
 export * from "./decorators";
 
 import { Model } from "./Model";
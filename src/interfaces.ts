@@ -91,6 +91,14 @@ export const FieldConfig: FieldConfig = {
     foreignKey: null,
 }
 
+export interface IndexConfig {
+    /** The name of the index or constraint, generated if omitted. */
+    name?: string;
+    type: "index" | "unique" | "primary";
+    /** Fields that the index covers, in order. */
+    fields: string[];
+}
+
 export interface ModelConfig {
     /** The table that the model binds to. */
     table: string;
@@ -100,13 +108,92 @@ export interface ModelConfig {
     fields: string[];
     /** Searchable fields in the model's table. */
     searchable?: string[];
+    /**
+     * A field that stores the time when the model is soft deleted, e.g.
+     * `deleted_at`, if set, `model.delete()` will only mark the record.
+     */
+    softDelete?: string;
+    /**
+     * Fields that store the time when the model is created and updated,
+     * `true` for `created_at` and `updated_at`.
+     */
+    timestamps?: boolean | ModelTimestamps;
+    /**
+     * A field that stores the version of the record for optimistic locking,
+     * e.g. `version`.
+     */
+    versionKey?: string;
+    /** Casts of fields, e.g. `{ tags: "json", activated: "boolean" }`. */
+    casts?: { [field: string]: CastType };
+    /**
+     * Validation rules of fields, e.g.
+     * `{ email: [validators.required(), validators.email()] }`.
+     */
+    rules?: { [field: string]: ValidationRule[] };
+    /** Fields (and relations) that are absent when serializing the model. */
+    hidden?: string[];
+    /** If set, only these fields (and relations) are serialized. */
+    visible?: string[];
+    /** Computed properties (getters) that are added when serializing. */
+    appends?: string[];
+    /** If set, only these fields can be mass assigned by `model.assign()`. */
+    fillable?: string[];
+    /** Fields that can't be mass assigned by `model.assign()`. */
+    guarded?: string[];
+    /**
+     * If `true`, `model.assign()` throws a `MassAssignmentError` when the
+     * data carries fields that are not mass assignable, instead of ignoring
+     * them. Default is `false`.
+     */
+    strictAssign?: boolean;
+}
+
+/** A cast converts the value of a field when it's read or written. */
+export interface Cast {
+    /** Converts the value read from the database. */
+    get(value: any): any;
+    /** Converts the value that will be written to the database. */
+    set(value: any): any;
+}
+
+/** A built-in cast name, a cast object or a class of casts. */
+export type CastType = "json" | "boolean" | "date" | "integer" | "decimal"
+    | string | Cast | (new () => Cast);
+
+/** A validation rule that checks the value of a field. */
+export interface ValidationRule {
+    /** The message when the rule fails, `{field}` is replaced by the name. */
+    message: string;
+    /**
+     * Whether empty values (`null`, `undefined` and `""`) are checked too,
+     * otherwise they always pass.
+     */
+    checkEmpty?: boolean;
+    /** Checks the value, returns (or resolves) `false` if it's invalid. */
+    test(value: any, model: Model, field: string): boolean | Promise<boolean>;
+}
+
+export interface ModelTimestamps {
+    createdAt?: string;
+    updatedAt?: string;
 }
 
 export const ModelConfig: ModelConfig = {
     table: "",
     primary: "",
     fields: null,
-    searchable: null
+    searchable: null,
+    softDelete: "",
+    timestamps: false,
+    versionKey: "",
+    casts: null,
+    rules: null,
+    hidden: null,
+    visible: null,
+    appends: null,
+    fillable: null,
+    guarded: null,
+    strictAssign: false
 };
 
 export interface PaginatedArray<T> extends Array<T> {
@@ -0,0 +1,91 @@
+import { ValidationRule } from "./interfaces";
+import { Query } from "./Query";
+import { Model } from "./Model";
+
+const EmailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Factories of validation rules, they're used by the validation decorators,
+ * and can be set in `ModelConfig.rules` as well. Every factory accepts an
+ * optional message as its last argument.
+ */
+export const validators = {
+    /** The value must not be `null`, `undefined` or an empty string. */
+    required(message = "{field} is required."): ValidationRule {
+        return {
+            message,
+            checkEmpty: true,
+            test: value => value !== null && value !== undefined && value !== ""
+        };
+    },
+
+    /** The length of the value must be within the range. */
+    length(min: number, max?: number, message?: string): ValidationRule {
+        if (!message) {
+            if (max === undefined) {
+                message = `{field} must be at least ${min} characters.`;
+            } else {
+                message = `{field} must be between ${min} and ${max} characters.`;
+            }
+        }
+
+        return {
+            message,
+            test: value => {
+                let length = String(value).length;
+                return length >= min && (max === undefined || length <= max);
+            }
+        };
+    },
+
+    /** The value must be an email address. */
+    email(message = "{field} must be a valid email address."): ValidationRule {
+        return validators.match(EmailRe, message);
+    },
+
+    /** The value must match the regular expression. */
+    match(re: RegExp, message = "{field} is invalid."): ValidationRule {
+        return { message, test: value => re.test(String(value)) };
+    },
+
+    /** The value must be one of the given values. */
+    in(values: any[], message?: string): ValidationRule {
+        return {
+            message: message || `{field} must be one of ${values.join(", ")}.`,
+            test: value => values.indexOf(value) >= 0
+        };
+    },
+
+    /**
+     * The value must not exist in the given table, the record of the model
+     * itself is excluded when it's in the same table.
+     * @param field Default is the name of the field being validated.
+     */
+    uniqueIn(
+        table: string,
+        field?: string,
+        message = "{field} has already been taken."
+    ): ValidationRule {
+        return {
+            message,
+            test: (value, model, name) => {
+                let query = new Query(table).use(model);
+
+                query.where(field || name, value);
+
+                if (!model.isNew && table == model.table)
+                    query.where(model.primary, "<>", model.data[model.primary]);
+
+                return query.count().then(count => count === 0);
+            }
+        };
+    },
+
+    /** Checks the value with a custom function. */
+    custom(
+        test: (value: any, model: Model, field: string) => boolean | Promise<boolean>,
+        message = "{field} is invalid."
+    ): ValidationRule {
+        return { message, test };
+    }
+};
@@ -42,6 +42,7 @@ co(function* () {
         table6.addColumn("user_id", "int").notNull();
         table6.addColumn("role_id", "int").notNull();
         table6.addColumn("activated", "int").default(null);
+        table6.primaryKey(["user_id", "role_id"]);
 
         table7.addColumn("id").primary().autoIncrement();
         table7.addColumn("name", "varchar", 32).notNull();
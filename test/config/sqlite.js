@@ -0,0 +1,4 @@
+module.exports = {
+    type: "sqlite",
+    database: ":memory:"
+};
\ No newline at end of file
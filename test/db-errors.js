@@ -0,0 +1,139 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Query = modelar.Query;
+var MockAdapter = modelar.MockAdapter;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Normalized database errors", function () {
+    function driverError(code, message) {
+        var err = new Error(code + ": " + message);
+        err.code = code;
+        return err;
+    }
+
+    it("should map SQLite errors to DatabaseError classes", function (done) {
+        var db = new DB(config);
+
+        co(function* () {
+            var groups = new Table("error_groups").use(db),
+                members = new Table("error_members").use(db);
+
+            groups.addColumn("id").primary().autoIncrement();
+            members.addColumn("id").primary().autoIncrement();
+            members.addColumn("email", "varchar", 32).unique().notNull();
+            members.addColumn("group_id", "int").foreignKey("error_groups", "id");
+
+            yield groups.save();
+            yield members.save();
+            yield new Query("error_members").use(db).insert({ email: "ayon@hyurl.com" });
+
+            try {
+                yield new Query("error_members").use(db).insert({ email: "ayon@hyurl.com" });
+                throw new Error("Query.insert() should be rejected.");
+            } catch (err) {
+                assert(err instanceof modelar.UniqueConstraintError);
+                assert(err instanceof modelar.DatabaseError);
+                assert.equal(err.name, "UniqueConstraintError");
+                assert.equal(err.message, "SQLITE_CONSTRAINT: UNIQUE constraint failed: error_members.email");
+                assert.equal(err.code, "SQLITE_CONSTRAINT");
+                assert.equal(err.sql, "insert into `error_members` (`email`) values (?)");
+                assert.deepStrictEqual(err.bindings, ["ayon@hyurl.com"]);
+                assert.equal(err.table, "error_members");
+                assert.equal(err.field, "email");
+                assert(err.original instanceof Error);
+            }
+
+            try {
+                yield new Query("error_members").use(db).insert({ email: null });
+                throw new Error("Query.insert() should be rejected.");
+            } catch (err) {
+                assert(err instanceof modelar.NotNullConstraintError);
+                assert.equal(err.field, "email");
+            }
+
+            try {
+                yield new Query("error_members").use(db).insert({ email: "luna@hyurl.com", group_id: 10 });
+                throw new Error("Query.insert() should be rejected.");
+            } catch (err) {
+                assert(err instanceof modelar.ForeignKeyConstraintError);
+                // SQLite doesn't tell which key fails, so the table of the
+                // query is used.
+                assert.equal(err.table, "error_members");
+                assert.strictEqual(err.field, null);
+            }
+
+            // Unknown errors are wrapped in the base class.
+            try {
+                yield db.query("select * from `no_such_table`");
+                throw new Error("DB.query() should be rejected.");
+            } catch (err) {
+                assert.strictEqual(err.constructor, modelar.DatabaseError);
+                assert.equal(err.code, "SQLITE_ERROR");
+                assert.equal(err.message, err.cause.message);
+                assert.strictEqual(err.cause, err.original);
+                assert.equal(err.cause.code, "SQLITE_ERROR");
+            }
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should map MySQL errors to DatabaseError classes", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        adapter.respond(driverError("ER_DUP_ENTRY", "Duplicate entry 'ayon@hyurl.com' for key 'users.email_unique'"))
+            .respond(driverError("ER_NO_REFERENCED_ROW_2", "Cannot add or update a child row: a foreign key constraint fails (`modelar`.`articles`, CONSTRAINT `articles_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`))"))
+            .respond(driverError("ER_BAD_NULL_ERROR", "Column 'name' cannot be null"))
+            .respond(driverError("ER_LOCK_DEADLOCK", "Deadlock found when trying to get lock; try restarting transaction"))
+            .respond(driverError("ER_LOCK_WAIT_TIMEOUT", "Lock wait timeout exceeded; try restarting transaction"))
+            .respond(driverError("PROTOCOL_CONNECTION_LOST", "Connection lost: The server closed the connection."));
+
+        var expected = [
+            [modelar.UniqueConstraintError, { table: "users", constraint: "email_unique", field: null }],
+            [modelar.ForeignKeyConstraintError, { table: "articles", constraint: "articles_ibfk_1", field: "user_id" }],
+            [modelar.NotNullConstraintError, { table: "users", constraint: null, field: "name" }],
+            [modelar.DeadlockError, { table: "users", constraint: null, field: null }],
+            [modelar.QueryTimeoutError, { table: "users", constraint: null, field: null }],
+            [modelar.ConnectionError, { table: "users", constraint: null, field: null }]
+        ];
+
+        co(function* () {
+            for (var i = 0; i < expected.length; i++) {
+                try {
+                    yield new Query("users").use(db).insert({ name: "Ayon Lee" });
+                    throw new Error("Query.insert() should be rejected.");
+                } catch (err) {
+                    assert(err instanceof expected[i][0], err.name);
+                    assert.deepStrictEqual({
+                        table: err.table,
+                        constraint: err.constraint,
+                        field: err.field
+                    }, expected[i][1]);
+                    assert.equal(err.sql, "insert into `users` (`name`) values (?)");
+                }
+            }
+
+            // Retryable errors are still recognized after being normalized.
+            adapter.respond(/^update/, driverError("ER_LOCK_DEADLOCK", "Deadlock found when trying to get lock"));
+
+            var runs = 0;
+            yield db.transaction(function (db) {
+                runs++;
+                return db.query("update `users` set `name` = ?", ["Luna"]);
+            }, { retries: 1 });
+            assert.strictEqual(runs, 2);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
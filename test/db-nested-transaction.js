@@ -0,0 +1,98 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Query = require("../").Query;
+var MockAdapter = require("../").MockAdapter;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("DB.prototype.transaction() nested", function () {
+    it("should create savepoints for nested transactions", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            states = [];
+
+        co(function* () {
+            assert.strictEqual(db.inTransaction, false);
+
+            yield db.transaction(function (db) {
+                states.push(db.inTransaction);
+
+                return db.transaction(function (db) {
+                    return db.query("insert into `logs` (`id`) values (1)");
+                }).then(function () {
+                    return db.transaction(function () {
+                        throw new Error("Inner failed.");
+                    });
+                }).catch(function (err) {
+                    assert.equal(err.message, "Inner failed.");
+                    states.push(db.inTransaction);
+                });
+            });
+
+            assert.strictEqual(db.inTransaction, false);
+            assert.deepStrictEqual(states, [true, true]);
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), [
+                "begin",
+                "savepoint `modelar_level_2`",
+                "insert into `logs` (`id`) values (1)",
+                "release savepoint `modelar_level_2`",
+                "savepoint `modelar_level_2`",
+                "rollback to savepoint `modelar_level_2`",
+                "commit"
+            ]);
+
+            adapter.reset();
+            yield db.transaction();
+            yield db.savepoint("sp1");
+            yield db.rollbackTo("sp1");
+            yield db.releaseSavepoint("sp1");
+            yield db.rollback();
+
+            assert.strictEqual(db.inTransaction, false);
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), [
+                "begin",
+                "savepoint `sp1`",
+                "rollback to savepoint `sp1`",
+                "release savepoint `sp1`",
+                "rollback"
+            ]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should only roll back the inner transaction in SQLite", function (done) {
+        var db = new DB(config);
+
+        co(function* () {
+            yield db.query("create table `logs` (`id` integer primary key)");
+
+            yield db.transaction(function (db) {
+                return db.query("insert into `logs` (`id`) values (1)").then(function () {
+                    return db.transaction(function (db) {
+                        return db.query("insert into `logs` (`id`) values (2)").then(function () {
+                            throw new Error("Inner failed.");
+                        });
+                    });
+                }).catch(function () {
+                    return db.query("insert into `logs` (`id`) values (3)");
+                });
+            });
+
+            var rows = yield new Query("logs").use(db).orderBy("id").all();
+            assert.deepStrictEqual(rows, [{ id: 1 }, { id: 3 }]);
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+});
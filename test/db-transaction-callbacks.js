@@ -0,0 +1,234 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Model = require("../").Model;
+var MockAdapter = require("../").MockAdapter;
+var co = require("co");
+
+describe("DB.prototype.afterCommit() and DB.prototype.afterRollback()", function () {
+    "use strict";
+
+    it("should call the callbacks after the transaction ends", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            calls = [];
+
+        co(function* () {
+            yield db.afterCommit(function () {
+                calls.push("immediate commit");
+            });
+            yield db.afterRollback(function () {
+                calls.push("immediate rollback");
+            });
+
+            yield db.transaction(function (db) {
+                return db.afterCommit(function (db) {
+                    calls.push("committed:" + db.inTransaction);
+                }).then(function () {
+                    return db.afterRollback(function () {
+                        calls.push("never");
+                    });
+                }).then(function () {
+                    calls.push("before commit");
+                });
+            });
+
+            try {
+                yield db.transaction(function (db) {
+                    return db.afterCommit(function () {
+                        calls.push("never");
+                    }).then(function () {
+                        return db.afterRollback(function () {
+                            calls.push("rolled back");
+                        });
+                    }).then(function () {
+                        throw new Error("Something went wrong.");
+                    });
+                });
+            } catch (err) {
+                assert.equal(err.message, "Something went wrong.");
+            }
+
+            assert.deepStrictEqual(calls, [
+                "immediate commit",
+                "immediate rollback",
+                "before commit",
+                "committed:false",
+                "rolled back"
+            ]);
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), ["begin", "commit", "begin", "rollback"]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should hand callbacks of nested transactions to the outer one", function (done) {
+        var db = new DB({ type: "mock" }),
+            calls = [];
+
+        co(function* () {
+            yield db.transaction(function (db) {
+                return db.transaction(function (db) {
+                    return db.afterCommit(function () {
+                        calls.push("inner committed");
+                    });
+                }).then(function () {
+                    return db.transaction(function (db) {
+                        return db.afterCommit(function () {
+                            calls.push("never");
+                        }).then(function () {
+                            return db.afterRollback(function () {
+                                calls.push("inner rolled back");
+                            });
+                        }).then(function () {
+                            throw new Error("Inner failed.");
+                        });
+                    }).catch(function () {
+                        calls.push("outer continues");
+                    });
+                });
+            });
+
+            assert.deepStrictEqual(calls, [
+                "inner rolled back",
+                "outer continues",
+                "inner committed"
+            ]);
+
+            calls = [];
+            try {
+                yield db.transaction(function (db) {
+                    return db.transaction(function (db) {
+                        return db.afterCommit(function () {
+                            calls.push("never");
+                        }).then(function () {
+                            return db.afterRollback(function () {
+                                calls.push("inner rolled back");
+                            });
+                        });
+                    }).then(function () {
+                        throw new Error("Outer failed.");
+                    });
+                });
+            } catch (err) {
+                assert.equal(err.message, "Outer failed.");
+            }
+
+            assert.deepStrictEqual(calls, ["inner rolled back"]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should reject without rolling back if an after-commit callback fails", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        db.transaction(function (db) {
+            return db.afterCommit(function () {
+                throw new Error("Mail server is down.");
+            });
+        }).then(function () {
+            done(new Error("DB.transaction() should be rejected."));
+        }).catch(function (err) {
+            assert.equal(err.message, "Mail server is down.");
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), ["begin", "commit"]);
+            done();
+        }).catch(done);
+    });
+
+    it("should roll back and discard after-commit callbacks if committing fails", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            calls = [];
+
+        adapter.respond("commit", new Error("Connection lost."));
+
+        co(function* () {
+            try {
+                yield db.transaction(function (db) {
+                    return db.afterCommit(function () {
+                        calls.push("never");
+                    }).then(function () {
+                        return db.afterRollback(function () {
+                            calls.push("rolled back");
+                        });
+                    });
+                });
+                throw new Error("DB.transaction() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "Connection lost.");
+            }
+
+            assert.strictEqual(db.inTransaction, false);
+            assert.deepStrictEqual(calls, ["rolled back"]);
+
+            // Callbacks of the failed transaction are not left behind.
+            yield db.transaction(function (db) {
+                return db.afterCommit(function () {
+                    calls.push("committed");
+                });
+            });
+
+            assert.deepStrictEqual(calls, ["rolled back", "committed"]);
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), ["begin", "commit", "rollback", "begin", "commit"]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should be usable in model hooks", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            mails = [];
+
+        class User extends Model {
+            constructor(data) {
+                super(data, {
+                    table: "users",
+                    primary: "id",
+                    fields: ["id", "email"]
+                });
+            }
+
+            afterInsert() {
+                return this.afterCommit(function (user) {
+                    mails.push("Welcome, " + user.email);
+                });
+            }
+        }
+
+        adapter.respond(/^insert/, { insertId: 1, affectedRows: 1 })
+            .respond(/^select/, { data: [{ id: 1, email: "ayon@hyurl.com" }] })
+            .respond(/^insert/, { insertId: 2, affectedRows: 1 })
+            .respond(/^select/, { data: [{ id: 2, email: "luna@hyurl.com" }] });
+
+        co(function* () {
+            yield db.transaction(function (db) {
+                return new User({ email: "ayon@hyurl.com" }).use(db).save().then(function () {
+                    assert.deepStrictEqual(mails, []);
+                });
+            });
+            assert.deepStrictEqual(mails, ["Welcome, ayon@hyurl.com"]);
+
+            // Outside of a transaction, the callback is called at once.
+            yield new User({ email: "luna@hyurl.com" }).use(db).save();
+            assert.deepStrictEqual(mails, ["Welcome, ayon@hyurl.com", "Welcome, luna@hyurl.com"]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Model = require("../").Model;
+var MockAdapter = require("../").MockAdapter;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("DB.prototype.transaction() with options", function () {
+    it("should set the isolation level and access mode before beginning", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        co(function* () {
+            yield db.transaction({ isolation: "serializable" }).then(function (db) {
+                return db.commit();
+            });
+
+            yield db.transaction(function (db) {
+                // Options of a nested transaction are ignored.
+                return db.transaction(function () { }, { isolation: "read committed" });
+            }, { isolation: "repeatable read", readOnly: true });
+
+            yield Model.use(db).transaction(function () { }, { readOnly: true });
+            yield Model.use(db).transaction({ isolation: "read uncommitted" }).then(function (model) {
+                return model.rollback();
+            });
+
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), [
+                "set transaction isolation level serializable",
+                "begin",
+                "commit",
+                "set transaction isolation level repeatable read, read only",
+                "begin",
+                "savepoint `modelar_level_2`",
+                "release savepoint `modelar_level_2`",
+                "commit",
+                "set transaction read only",
+                "begin",
+                "commit",
+                "set transaction isolation level read uncommitted",
+                "begin",
+                "rollback"
+            ]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should reject unsupported isolation levels", function (done) {
+        var db = new DB({ type: "mock" });
+
+        db.transaction({ isolation: "snapshot" }).then(function () {
+            done(new Error("DB.transaction() should be rejected."));
+        }).catch(function (err) {
+            assert(err instanceof TypeError);
+            assert.equal(err.message, "Isolation level 'snapshot' is not supported.");
+            assert.strictEqual(db.inTransaction, false);
+            done();
+        }).catch(done);
+    });
+
+    it("should run read-only transactions in SQLite", function (done) {
+        var db = new DB(config);
+
+        co(function* () {
+            yield db.query("create table `tx_options` (`id` integer primary key)");
+
+            try {
+                yield db.transaction(function (db) {
+                    return db.query("insert into `tx_options` (`id`) values (1)");
+                }, { isolation: "serializable", readOnly: true });
+                throw new Error("DB.transaction() should be rejected.");
+            } catch (err) {
+                assert(/readonly/.test(err.message), err.message);
+            }
+
+            // The connection is writable again afterwards.
+            yield db.transaction(function (db) {
+                return db.query("insert into `tx_options` (`id`) values (1)");
+            });
+
+            var res = yield db.query("select count(*) as `count` from `tx_options`");
+            assert.strictEqual(res.data[0].count, 1);
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should scope the read-only mode to the transaction in SQLite", function (done) {
+        var db1 = new DB(config),
+            db2 = new DB(config);
+
+        co(function* () {
+            yield db1.query("create table `tx_read_only` (`id` integer primary key)");
+
+            var inserting;
+
+            yield db1.transaction(function (db1) {
+                // Another instance on the same connection waits for the
+                // read-only transaction to end instead of failing.
+                inserting = db2.query("insert into `tx_read_only` (`id`) values (1)");
+                return db1.query("select * from `tx_read_only`");
+            }, { readOnly: true });
+
+            yield inserting;
+
+            // The pragma is turned off even if committing and rolling back
+            // fail.
+            var adapter = db1["adapter"],
+                query = adapter._query;
+
+            adapter._query = function (db, sql) {
+                if (sql == "commit" || sql == "rollback")
+                    return Promise.reject(new Error("Connection lost."));
+
+                return query.apply(this, arguments);
+            };
+
+            try {
+                yield db1.transaction(function (db1) {
+                    return db1.query("select * from `tx_read_only`");
+                }, { readOnly: true });
+                throw new Error("DB.transaction() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "Connection lost.");
+            } finally {
+                adapter._query = query;
+            }
+
+            yield db1.query("pragma query_only");
+            assert.deepStrictEqual(db1.data, [{ query_only: 0 }]);
+            yield db2.query("insert into `tx_read_only` (`id`) values (2)");
+        }).then(function () {
+            db1.close();
+            done();
+        }).catch(function (err) {
+            db1.close();
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var MockAdapter = require("../").MockAdapter;
+var co = require("co");
+
+describe("DB.prototype.transaction() with retries", function () {
+    function deadlock() {
+        var err = new Error("ER_LOCK_DEADLOCK: Deadlock found when trying to get lock");
+        err.code = "ER_LOCK_DEADLOCK";
+        err.errno = 1213;
+        return err;
+    }
+
+    it("should run the transaction again on retryable errors", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            runs = 0,
+            retries = [],
+            delays = [];
+
+        adapter.respond(/^update/, deadlock())
+            .respond(/^update/, deadlock());
+
+        db.on("retry", function (err, attempt) {
+            retries.push([err.code, attempt]);
+        });
+
+        co(function* () {
+            yield db.transaction(function (db) {
+                runs++;
+                return db.query("update `users` set `age` = `age` + 1");
+            }, {
+                retries: 3,
+                backoff: function (attempt) {
+                    delays.push(attempt);
+                    return attempt * 5;
+                }
+            });
+
+            assert.strictEqual(runs, 3);
+            assert.strictEqual(db.inTransaction, false);
+            assert.deepStrictEqual(retries, [["ER_LOCK_DEADLOCK", 1], ["ER_LOCK_DEADLOCK", 2]]);
+            assert.deepStrictEqual(delays, [1, 2]);
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), [
+                "begin",
+                "update `users` set `age` = `age` + 1",
+                "rollback",
+                "begin",
+                "update `users` set `age` = `age` + 1",
+                "rollback",
+                "begin",
+                "update `users` set `age` = `age` + 1",
+                "commit"
+            ]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should give up when retries are exhausted or the error is not retryable", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            runs = 0;
+
+        adapter.respond(/^update/, deadlock())
+            .respond(/^update/, deadlock());
+
+        co(function* () {
+            try {
+                yield db.transaction(function (db) {
+                    runs++;
+                    return db.query("update `users` set `age` = 1");
+                }, { retries: 1 });
+                throw new Error("DB.transaction() should be rejected.");
+            } catch (err) {
+                assert.equal(err.code, "ER_LOCK_DEADLOCK");
+                assert.strictEqual(runs, 2);
+            }
+
+            runs = 0;
+            try {
+                yield db.transaction(function () {
+                    runs++;
+                    throw new Error("Something went wrong.");
+                }, { retries: 3 });
+                throw new Error("DB.transaction() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "Something went wrong.");
+                assert.strictEqual(runs, 1);
+            }
+
+            // Nested transactions are never retried, the outer one is.
+            runs = 0;
+            adapter.respond(/^insert/, deadlock());
+            yield db.transaction(function (db) {
+                return db.transaction(function (db) {
+                    runs++;
+                    return db.query("insert into `logs` (`id`) values (1)");
+                }, { retries: 3 });
+            }, { retries: 1 });
+            assert.strictEqual(runs, 2);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should classify retryable errors by the adapter", function () {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        assert(adapter.isRetryable(deadlock()));
+        assert(adapter.isRetryable({ code: "ER_LOCK_WAIT_TIMEOUT", errno: 1205 }));
+        assert(adapter.isRetryable({ sqlState: "40001" }));
+        assert(!adapter.isRetryable(new Error("ER_DUP_ENTRY")));
+        assert(!adapter.isRetryable(null));
+
+        var SqliteAdapter = require("../").SqliteAdapter;
+        assert(SqliteAdapter.prototype.isRetryable({ code: "SQLITE_BUSY" }));
+        assert(!SqliteAdapter.prototype.isRetryable({ code: "SQLITE_CONSTRAINT" }));
+    });
+});
@@ -0,0 +1,15 @@
+var Table = require("../../").Table;
+
+exports.up = function (db) {
+    var table = new Table("users").use(db);
+
+    table.addColumn("id").primary().autoIncrement();
+    table.addColumn("name", "varchar", 32).notNull();
+    table.addColumn("email", "varchar", 255).notNull();
+
+    return table.create();
+};
+
+exports.down = function (db) {
+    return new Table("users").use(db).drop();
+};
\ No newline at end of file
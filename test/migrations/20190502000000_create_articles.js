@@ -0,0 +1,15 @@
+var Table = require("../../").Table;
+
+exports.up = function (db) {
+    var table = new Table("articles").use(db);
+
+    table.addColumn("id").primary().autoIncrement();
+    table.addColumn("title", "varchar", 255).notNull();
+    table.addColumn("user_id", "int").default(null).foreignKey("users", "id");
+
+    return table.create();
+};
+
+exports.down = function (db) {
+    return new Table("articles").use(db).drop();
+};
\ No newline at end of file
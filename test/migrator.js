@@ -0,0 +1,183 @@
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var DB = require("../").DB;
+var Migrator = require("../").Migrator;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Migrator", function () {
+    var directory = path.join(__dirname, "migrations");
+
+    function getTables(db) {
+        return db.query("select `name` from `sqlite_master` where `type` = ? and `name` not like ? order by `name`", ["table", "sqlite_%"]).then(function () {
+            return db.data.map(function (row) {
+                return row.name;
+            });
+        });
+    }
+
+    it("should migrate, rollback and reset migrations as expected", function (done) {
+        var db = new DB(config),
+            migrator = new Migrator(db, directory);
+
+        co(function* () {
+            var names = yield migrator.migrate();
+            assert.deepStrictEqual(names, [
+                "20190501000000_create_users",
+                "20190502000000_create_articles"
+            ]);
+            assert.deepStrictEqual(yield getTables(db), ["articles", "migrations", "users"]);
+            assert.deepStrictEqual(yield migrator.status(), [
+                { name: "20190501000000_create_users", migrated: true, batch: 1 },
+                { name: "20190502000000_create_articles", migrated: true, batch: 1 }
+            ]);
+
+            // Nothing is pending.
+            assert.deepStrictEqual(yield migrator.migrate(), []);
+
+            names = yield migrator.rollback();
+            assert.deepStrictEqual(names, [
+                "20190502000000_create_articles",
+                "20190501000000_create_users"
+            ]);
+            assert.deepStrictEqual(yield getTables(db), ["migrations"]);
+            assert.deepStrictEqual(yield migrator.status(), [
+                { name: "20190501000000_create_users", migrated: false, batch: null },
+                { name: "20190502000000_create_articles", migrated: false, batch: null }
+            ]);
+
+            yield migrator.migrate();
+            names = yield migrator.reset();
+            assert.deepStrictEqual(names, [
+                "20190502000000_create_articles",
+                "20190501000000_create_users"
+            ]);
+            assert.deepStrictEqual(yield getTables(db), ["migrations"]);
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should run migrations in batches and roll back the failed one", function (done) {
+        var db = new DB(config),
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "modelar-")),
+            migrator = new Migrator(db, tmpDir, "ledger"),
+            file1 = "20190501000000_create_users.js",
+            file2 = "20190503000000_broken.js";
+
+        fs.writeFileSync(path.join(tmpDir, file1), "module.exports = require("
+            + JSON.stringify(path.join(directory, file1)) + ");");
+        fs.writeFileSync(path.join(tmpDir, file2), [
+            "exports.up = function (db) {",
+            "    return db.query('create table `broken` (`id` int)').then(function () {",
+            "        throw new Error('Migration failed.');",
+            "    });",
+            "};",
+            "exports.down = function () {};"
+        ].join("\n"));
+
+        co(function* () {
+            try {
+                yield migrator.migrate();
+                throw new Error("Migrator.migrate() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "Migration failed.");
+            }
+
+            // The failed migration leaves nothing behind in SQLite.
+            assert.deepStrictEqual(yield getTables(db), ["ledger", "users"]);
+            assert.deepStrictEqual(yield migrator.status(), [
+                { name: "20190501000000_create_users", migrated: true, batch: 1 },
+                { name: "20190503000000_broken", migrated: false, batch: null }
+            ]);
+
+            fs.writeFileSync(path.join(tmpDir, file2), [
+                "exports.up = function (db) {",
+                "    return db.query('create table `fixed` (`id` int)');",
+                "};",
+                "exports.down = function (db) {",
+                "    return db.query('drop table `fixed`');",
+                "};"
+            ].join("\n"));
+            delete require.cache[path.join(tmpDir, file2)];
+
+            assert.deepStrictEqual(yield migrator.migrate(), ["20190503000000_broken"]);
+            assert.deepStrictEqual(yield migrator.status(), [
+                { name: "20190501000000_create_users", migrated: true, batch: 1 },
+                { name: "20190503000000_broken", migrated: true, batch: 2 }
+            ]);
+
+            assert.deepStrictEqual(yield migrator.rollback(), ["20190503000000_broken"]);
+            assert.deepStrictEqual(yield getTables(db), ["ledger", "users"]);
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should not mask errors of reading an existing ledger", function (done) {
+        var db = new DB(config),
+            migrator = new Migrator(db, directory, "bad_ledger");
+
+        co(function* () {
+            yield db.query("create table `bad_ledger` (`name` varchar(255))");
+
+            try {
+                yield migrator.migrate();
+                throw new Error("Migrator.migrate() should be rejected.");
+            } catch (err) {
+                assert(/no such column: id/.test(err.message), err.message);
+            }
+
+            yield db.query("drop table `bad_ledger`");
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should not read the schemas of other tables", function (done) {
+        var db = new DB(config),
+            migrator = new Migrator(db, directory, "items_ledger");
+
+        co(function* () {
+            yield db.query("create table `items` (`id` integer primary key, `name` varchar(32))");
+            yield db.query("create index `items_lower` on `items` (lower(`name`))");
+
+            var describe = db["adapter"].describe;
+            db["adapter"].describe = function (table) {
+                throw new Error("Table " + table.name + " shouldn't be described.");
+            };
+
+            try {
+                assert.deepStrictEqual(yield migrator.status(), [
+                    { name: "20190501000000_create_users", migrated: false, batch: null },
+                    { name: "20190502000000_create_articles", migrated: false, batch: null }
+                ]);
+            } finally {
+                db["adapter"].describe = describe;
+            }
+
+            yield db.query("drop table `items`");
+            yield db.query("drop table `items_ledger`");
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,172 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Query = require("../").Query;
+var Model = require("../").Model;
+var MockAdapter = require("../").MockAdapter;
+var NotFoundError = require("../").NotFoundError;
+var UpdateError = require("../").UpdateError;
+var DatabaseError = require("../").DatabaseError;
+var User = require("./classes/user-role").User;
+var co = require("co");
+
+describe("MockAdapter", function () {
+    var modelConf = {
+        table: "users",
+        primary: "id",
+        fields: ["id", "name", "email"],
+        searchable: ["name", "email"]
+    };
+
+    it("should record statements and answer with scripted results", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            query = new Query("users").use(db);
+
+        adapter.respond({ data: [{ id: 1, name: "Ayon Lee" }] })
+            .respond({ insertId: 2, affectedRows: 1 });
+
+        co(function* () {
+            var data = yield query.where("id", 1).all();
+            assert.deepStrictEqual(data, [{ id: 1, name: "Ayon Lee" }]);
+
+            yield query.insert({ name: "Luna" });
+            assert.strictEqual(query.insertId, 2);
+            assert.strictEqual(query.affectedRows, 1);
+
+            assert.deepStrictEqual(adapter.records, [
+                { sql: "select * from `users` where `id` = ?", bindings: [1] },
+                { sql: "insert into `users` (`name`) values (?)", bindings: ["Luna"] }
+            ]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should answer matching statements and reject with scripted errors", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        adapter.respond(/^delete/, new Error("Cannot delete."))
+            .respond("select * from `users`", { data: [{ id: 1 }] });
+
+        co(function* () {
+            var data = yield new Query("users").use(db).all();
+            assert.deepStrictEqual(data, [{ id: 1 }]);
+
+            // No result is left, gets an empty result.
+            data = yield new Query("users").use(db).all();
+            assert.deepStrictEqual(data, []);
+
+            try {
+                yield new Query("users").use(db).where("id", 1).delete();
+                throw new Error("Query.delete() should be rejected.");
+            } catch (err) {
+                assert(err instanceof DatabaseError);
+                assert.equal(err.message, "Cannot delete.");
+                assert.equal(err.original.message, "Cannot delete.");
+            }
+
+            adapter.reset();
+            assert.deepStrictEqual(adapter.records, []);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should simulate NotFoundError and UpdateError of models", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            model = new Model(null, modelConf).use(db);
+
+        co(function* () {
+            try {
+                yield model.get(1);
+                throw new Error("Model.get() should be rejected.");
+            } catch (err) {
+                assert(err instanceof NotFoundError);
+            }
+
+            adapter.respond({ data: [{ id: 1, name: "Ayon Lee", email: "i@hyurl.com" }] })
+                .respond({ affectedRows: 0 });
+
+            yield model.get(1);
+            model.name = "Luna";
+
+            try {
+                yield model.whereState("email", "i@hyurl.com").save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof UpdateError);
+            }
+
+            assert.deepStrictEqual(adapter.records.slice(-1), [{
+                sql: "update `users` set `name` = ? where `id` = ? and `email` = ?",
+                bindings: ["Luna", 1, "i@hyurl.com"]
+            }]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should record SQL generated by Model.getMany()", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            model = new Model(null, modelConf).use(db);
+
+        adapter.respond({ data: [{ num: 1 }] })
+            .respond({ data: [{ id: 1, name: "Ayon Lee", email: "i@hyurl.com" }] });
+
+        model.getMany({ keywords: "Ayon", limit: 5 }).then(function (models) {
+            assert.strictEqual(models.total, 1);
+            assert.deepStrictEqual(models[0].data, { id: 1, name: "Ayon Lee", email: "i@hyurl.com" });
+            assert.deepStrictEqual(adapter.records, [{
+                sql: "select count(*) as `num` from `users` where ((`name` like ?) or (`email` like ?))",
+                bindings: ["%Ayon%", "%Ayon%"]
+            }, {
+                sql: "select * from `users` where ((`name` like ?) or (`email` like ?)) order by `id` asc limit 5",
+                bindings: ["%Ayon%", "%Ayon%"]
+            }]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should record SQL generated by Model.attach()", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            user = new User().use(db);
+
+        adapter.respond({ data: [{ id: 1, name: "Ayon Lee", email: "i@hyurl.com" }] })
+            .respond({ data: [{ user_id: 1, role_id: 1 }, { user_id: 1, role_id: 2 }] })
+            .respond({ affectedRows: 1 })
+            .respond({ insertId: 1, affectedRows: 1 });
+
+        co(function* () {
+            yield user.get(1);
+            yield user.roles.attach([2, 3]);
+
+            assert.deepStrictEqual(adapter.records.slice(1), [{
+                sql: "select * from `user_role` where `user_id` = ?",
+                bindings: [1]
+            }, {
+                sql: "delete from `user_role` where `role_id` in (?) and `user_id` = ?",
+                bindings: [1, 1]
+            }, {
+                sql: "insert into `user_role` (`user_id`, `role_id`) values (?, ?)",
+                bindings: [1, 3]
+            }]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
\ No newline at end of file
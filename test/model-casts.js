@@ -0,0 +1,145 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model casts", function () {
+    "use strict";
+
+    class Money {
+        get(value) {
+            return value / 100;
+        }
+
+        set(value) {
+            return Math.round(value * 100);
+        }
+    }
+
+    class Product extends Model {
+        constructor(data) {
+            super(data, {
+                table: "products",
+                primary: "id",
+                fields: ["id", "name", "tags", "on_sale", "released_at", "stock", "rating", "price"]
+            });
+        }
+    }
+
+    decorate([modelar.cast("json")], Product.prototype, "tags", null);
+    decorate([modelar.cast("boolean")], Product.prototype, "on_sale", null);
+    decorate([modelar.cast("date")], Product.prototype, "released_at", null);
+    decorate([modelar.cast("integer")], Product.prototype, "stock", null);
+    decorate([modelar.cast("decimal")], Product.prototype, "rating", null);
+    decorate([modelar.cast(Money)], Product.prototype, "price", null);
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("products").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32);
+        table.addColumn("tags", "text");
+        table.addColumn("on_sale", "int");
+        table.addColumn("released_at", "varchar", 32);
+        table.addColumn("stock", "varchar", 16);
+        table.addColumn("rating", "varchar", 16);
+        table.addColumn("price", "int");
+
+        table.save().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should cast values when writing and reading models", function (done) {
+        var released = new Date("2019-05-01T00:00:00.000Z");
+
+        co(function* () {
+            var product = yield new Product({
+                name: "Apple",
+                tags: ["fruit", "red"],
+                on_sale: true,
+                released_at: released.toISOString(),
+                stock: "12",
+                rating: "4.5",
+                price: 9.99
+            }).use(db).save();
+
+            assert.strictEqual(product.sql, "insert into `products` (`name`, `tags`, `on_sale`, `released_at`, `stock`, `rating`, `price`) values (?, ?, ?, ?, ?, ?, ?)");
+            assert.deepStrictEqual(product.bindings.slice(1, 3), ['["fruit","red"]', 1]);
+            assert.strictEqual(product.bindings[6], 999);
+
+            var data = product.data;
+            assert.deepStrictEqual(data.tags, ["fruit", "red"]);
+            assert.strictEqual(data.on_sale, true);
+            assert(data.released_at instanceof Date);
+            assert.strictEqual(data.stock, 12);
+            assert.strictEqual(data.rating, 4.5);
+            assert.strictEqual(data.price, 9.99);
+
+            product.on_sale = false;
+            product.tags = ["fruit"];
+            yield product.save();
+            assert.deepStrictEqual(product.bindings.slice(0, 2), [0, '["fruit"]']);
+            assert.strictEqual(product.on_sale, false);
+
+            var products = yield Product.use(db).all();
+            assert.deepStrictEqual(products[0].tags, ["fruit"]);
+            assert.strictEqual(products[0].price, 9.99);
+
+            assert.deepStrictEqual(product.valueOf(), {
+                id: 1,
+                name: "Apple",
+                tags: ["fruit"],
+                on_sale: false,
+                released_at: released,
+                stock: 12,
+                rating: 4.5,
+                price: 9.99
+            });
+            assert.strictEqual(JSON.parse(product.toString()).released_at, "2019-05-01T00:00:00.000Z");
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it("should accept casts in the model configuration", function (done) {
+        var model = new Model(null, {
+            table: "products",
+            primary: "id",
+            fields: ["id", "tags", "on_sale"],
+            casts: { tags: "json", on_sale: "boolean" }
+        }).use(db);
+
+        assert.throws(function () {
+            modelar.cast("money");
+        }, TypeError);
+
+        model.get(1).then(function (model) {
+            assert.deepStrictEqual(model.valueOf(), { id: 1, tags: ["fruit"], on_sale: false });
+            assert.deepStrictEqual(model.casts.tags, modelar.casts.json);
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it("should keep strings as JSON values and parse integers as decimal", function () {
+        var json = modelar.casts.json,
+            integer = modelar.casts.integer;
+
+        assert.strictEqual(json.set("fruit"), '"fruit"');
+        assert.strictEqual(json.get(json.set("fruit")), "fruit");
+        assert.strictEqual(json.set("[1]"), '"[1]"');
+        assert.strictEqual(integer.set("0x1A"), 0);
+        assert.strictEqual(integer.get("012"), 12);
+    });
+});
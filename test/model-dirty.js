@@ -0,0 +1,103 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Table = require("../").Table;
+var Model = require("../").Model;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Model dirty tracking", function () {
+    var db,
+        modelConf = {
+            table: "counters",
+            primary: "id",
+            fields: ["id", "name", "count", "updated_at"],
+            timestamps: { updatedAt: "updated_at" }
+        };
+
+    before(function (done) {
+        var table = new Table("counters").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32);
+        table.addColumn("count", "int").default(0);
+        table.addColumn("updated_at", "varchar", 32);
+
+        table.save().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should track dirty fields and revert them", function (done) {
+        var model = new Model({ name: "visits" }, modelConf).use(db);
+
+        co(function* () {
+            assert(model.isDirty());
+            assert(model.isDirty("name"));
+            assert.deepStrictEqual(model.getDirty(), { name: "visits" });
+            assert.deepStrictEqual(model.getOriginal(), {});
+
+            yield model.save();
+            assert(!model.isDirty());
+            assert(!model.wasChanged());
+            assert.strictEqual(model.getOriginal("name"), "visits");
+
+            model.name = "views";
+            assert(model.isDirty());
+            assert(model.isDirty("name"));
+            assert(!model.isDirty("count"));
+            assert.deepStrictEqual(model.getDirty(), { name: "views" });
+            assert.strictEqual(model.getOriginal("name"), "visits");
+
+            model.revert();
+            assert(!model.isDirty());
+            assert.strictEqual(model.name, "visits");
+
+            var models = yield new Model(null, modelConf).use(db).all();
+            assert(!models[0].isDirty());
+            assert.strictEqual(models[0].getOriginal("name"), "visits");
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should report changes of the last update, increase and decrease", function (done) {
+        var model = new Model(null, modelConf).use(db);
+
+        co(function* () {
+            yield model.get(1);
+
+            model.name = "views";
+            yield model.save();
+            assert(!model.isDirty());
+            assert(model.wasChanged());
+            assert(model.wasChanged("name"));
+            assert(!model.wasChanged("count"));
+            assert.deepStrictEqual(Object.keys(model.getChanges()), ["name", "updated_at"]);
+            assert.strictEqual(model.getChanges().name, "views");
+            assert.strictEqual(model.getOriginal("name"), "views");
+
+            yield model.increase("count", 5);
+            assert.deepStrictEqual(Object.keys(model.getChanges()), ["count", "updated_at"]);
+            assert.strictEqual(model.getChanges().count, 5);
+
+            yield model.withoutTimestamps().decrease("count", 2);
+            assert.deepStrictEqual(model.getChanges(), { count: 3 });
+            assert(!model.wasChanged("name"));
+
+            // Saving without modifications changes nothing.
+            yield model.save();
+            assert(!model.wasChanged());
+            assert.deepStrictEqual(model.getChanges(), {});
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,171 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var InsertionError = modelar.InsertionError;
+var UpdateError = modelar.UpdateError;
+var DeletionError = modelar.DeletionError;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Model hooks", function () {
+    "use strict";
+
+    var calls = [];
+
+    class Post extends Model {
+        constructor(data) {
+            super(data, {
+                table: "hooked_posts",
+                primary: "id",
+                fields: ["id", "title", "slug", "locked"]
+            });
+        }
+
+        beforeSave() {
+            calls.push("beforeSave");
+        }
+
+        afterSave() {
+            calls.push("afterSave");
+        }
+
+        beforeInsert() {
+            calls.push("beforeInsert");
+            var post = this;
+
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    post.slug = post.title.toLowerCase().replace(/\s+/g, "-");
+                    resolve();
+                }, 5);
+            });
+        }
+
+        beforeUpdate() {
+            calls.push("beforeUpdate");
+
+            if (this.title)
+                this.slug = this.title.toLowerCase().replace(/\s+/g, "-");
+
+            return !this.locked;
+        }
+
+        beforeDelete() {
+            calls.push("beforeDelete");
+            return Promise.resolve(!this.locked);
+        }
+    }
+
+    Post.hook("afterInsert", function (post) {
+        calls.push("afterInsert:" + post.id);
+    }).hook("afterUpdate", function (post) {
+        calls.push("afterUpdate:" + post.slug);
+    }).hook("afterDelete", function () {
+        calls.push("afterDelete");
+    });
+
+    class News extends Post { }
+
+    News.hook("beforeInsert", function (news) {
+        if (news.title == "Fake")
+            throw new Error("Fake news is not allowed.");
+    });
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("hooked_posts").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("title", "varchar", 32);
+        table.addColumn("slug", "varchar", 32);
+        table.addColumn("locked", "int").default(0);
+
+        table.save().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should await hooks and let them transform the model", function (done) {
+        calls = [];
+
+        co(function* () {
+            var post = yield new Post({ title: "Hello World" }).use(db).save();
+            assert.strictEqual(post.slug, "hello-world");
+            assert.deepStrictEqual(calls, ["beforeSave", "beforeInsert", "afterInsert:1", "afterSave"]);
+
+            calls = [];
+            post.title = "Hello Modelar";
+            yield post.save();
+            assert.strictEqual(post.slug, "hello-modelar");
+            assert.strictEqual((yield Post.use(db).get(1)).slug, "hello-modelar");
+            assert.deepStrictEqual(calls, ["beforeSave", "beforeUpdate", "afterUpdate:hello-modelar", "afterSave"]);
+
+            calls = [];
+            yield post.delete();
+            assert.deepStrictEqual(calls, ["beforeDelete", "afterDelete"]);
+            assert.strictEqual(yield Post.use(db).count(), 0);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should abort operations when a hook returns false or throws", function (done) {
+        co(function* () {
+            var post = yield new Post({ title: "Locked" }).use(db).save();
+            yield db.query("update `hooked_posts` set `locked` = 1 where `id` = ?", [post.id]);
+            yield post.get(post.id);
+
+            try {
+                yield post.update({ title: "Unlocked" });
+                throw new Error("Model.update() should be rejected.");
+            } catch (err) {
+                assert(err instanceof UpdateError);
+                assert.equal(err.message, "The beforeUpdate hook of Post cancelled the operation.");
+            }
+
+            try {
+                yield post.delete();
+                throw new Error("Model.delete() should be rejected.");
+            } catch (err) {
+                assert(err instanceof DeletionError);
+                assert.equal(err.message, "The beforeDelete hook of Post cancelled the operation.");
+            }
+
+            assert.strictEqual((yield Post.use(db).get(post.id)).title, "Locked");
+
+            try {
+                yield new News({ title: "Fake" }).use(db).save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "Fake news is not allowed.");
+            }
+
+            News.hook("beforeSave", function () {
+                return false;
+            });
+
+            try {
+                yield new News({ title: "Real" }).use(db).save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof InsertionError);
+                assert.equal(err.message, "The beforeSave hook of News cancelled the operation.");
+            }
+
+            assert.strictEqual(yield Post.use(db).count(), 1);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
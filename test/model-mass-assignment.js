@@ -0,0 +1,132 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Model = modelar.Model;
+var MockAdapter = modelar.MockAdapter;
+var MassAssignmentError = modelar.MassAssignmentError;
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model mass assignment", function () {
+    "use strict";
+
+    class Article extends Model {
+        constructor(data) {
+            super(data, {
+                table: "articles",
+                primary: "id",
+                fields: ["id", "title", "content", "user_id"]
+            });
+        }
+    }
+
+    decorate([modelar.guarded], Article.prototype, "user_id", null);
+
+    class Comment extends Model {
+        constructor(data) {
+            super(data, {
+                table: "comments",
+                primary: "id",
+                fields: ["id", "content", "user_id", "article_id"]
+            });
+        }
+    }
+
+    decorate([modelar.fillable], Comment.prototype, "content", null);
+    decorate([modelar.strictAssign], Comment);
+
+    it("should inherit guarded and hidden fields in subclasses", function () {
+        class User extends Model { }
+
+        decorate([modelar.field], User.prototype, "id", null);
+        decorate([modelar.field], User.prototype, "name", null);
+        decorate([modelar.field, modelar.guarded, modelar.hidden], User.prototype, "is_admin", null);
+
+        class Admin extends User { }
+
+        decorate([modelar.field], Admin.prototype, "level", null);
+
+        var admin = new Admin({ name: "Ayon", is_admin: true, level: 1 });
+
+        assert.deepStrictEqual(admin.fields, ["id", "name", "is_admin", "level"]);
+        assert.deepStrictEqual(admin.data, { name: "Ayon", level: 1 });
+        assert(!admin.isFillable("is_admin"));
+
+        admin.forceAssign({ is_admin: true });
+        assert.deepStrictEqual(admin.toJSON(), { name: "Ayon", level: 1 });
+
+        // The parent class is not affected by the subclass.
+        assert.deepStrictEqual(new User().fields, ["id", "name", "is_admin"]);
+    });
+
+    it("should ignore guarded fields in the constructor and assign()", function () {
+        var article = new Article({ title: "Hello", user_id: 1, tag: "news" });
+
+        assert.deepStrictEqual(article.data, { title: "Hello" });
+        assert.deepStrictEqual(article.extra, { tag: "news" });
+        assert(article.isFillable("title"));
+        assert(!article.isFillable("user_id"));
+
+        article.assign({ content: "World", user_id: 2 });
+        assert.deepStrictEqual(article.data, { title: "Hello", content: "World" });
+
+        article.forceAssign({ user_id: 2 });
+        assert.strictEqual(article.user_id, 2);
+
+        // Setting the property directly is not mass assignment.
+        article.user_id = 3;
+        assert.strictEqual(article.user_id, 3);
+    });
+
+    it("should protect insert(data) and update(data)", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        adapter.respond({ insertId: 1, affectedRows: 1 })
+            .respond({ data: [{ id: 1, title: "Hello", content: null, user_id: 1 }] })
+            .respond({ affectedRows: 1 })
+            .respond({ data: [{ id: 1, title: "Hi", content: null, user_id: 1 }] });
+
+        co(function* () {
+            var article = new Article().use(db);
+
+            // Data fetched from the database is never filtered.
+            yield article.insert({ title: "Hello", user_id: 2 });
+            assert.strictEqual(article.user_id, 1);
+
+            yield article.update({ title: "Hi", user_id: 2 });
+
+            assert.deepStrictEqual([adapter.records[0], adapter.records[2]], [{
+                sql: "insert into `articles` (`title`) values (?)",
+                bindings: ["Hello"]
+            }, {
+                sql: "update `articles` set `title` = ? where `id` = ?",
+                bindings: ["Hi", 1]
+            }]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should only accept fillable fields and throw in strict mode", function () {
+        var comment = new Comment({ content: "Nice" });
+        assert.deepStrictEqual(comment.data, { content: "Nice" });
+
+        assert.throws(function () {
+            comment.assign({ content: "Great", article_id: 1 });
+        }, function (err) {
+            return err instanceof MassAssignmentError
+                && err.message == "Field 'article_id' of Comment is not mass assignable.";
+        });
+        assert.strictEqual(comment.content, "Nice");
+
+        assert.throws(function () {
+            new Comment({ user_id: 1 });
+        }, MassAssignmentError);
+
+        comment.forceAssign({ article_id: 1 });
+        assert.strictEqual(comment.article_id, 1);
+    });
+});
@@ -0,0 +1,141 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var DeletionError = modelar.DeletionError;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Model observers", function () {
+    "use strict";
+
+    var calls = [];
+
+    class Audit {
+        creating(model) {
+            calls.push("creating:" + model.name);
+        }
+
+        created(model) {
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    calls.push("created:" + model.id);
+                    resolve();
+                }, 5);
+            });
+        }
+
+        updating(model) {
+            calls.push("updating:" + model.name);
+        }
+
+        updated(model) {
+            calls.push("updated:" + model.name);
+        }
+
+        deleting(model) {
+            calls.push("deleting:" + model.id);
+            return model.name != "Admin";
+        }
+
+        deleted(model) {
+            calls.push("deleted:" + model.id);
+        }
+
+        retrieved(model) {
+            calls.push("retrieved:" + model.id);
+        }
+    }
+
+    class Account extends Model {
+        constructor(data) {
+            super(data, {
+                table: "observed_accounts",
+                primary: "id",
+                fields: ["id", "name"]
+            });
+        }
+    }
+
+    Account.observe(Audit);
+
+    class Manager extends Account { }
+
+    Manager.observe({
+        creating: function (model) {
+            calls.push("manager creating:" + model.name);
+        }
+    });
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("observed_accounts").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32);
+
+        table.save().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should notify observers of the model class", function (done) {
+        co(function* () {
+            var account = yield new Account({ name: "Ayon" }).use(db).save();
+            assert.deepStrictEqual(calls, ["creating:Ayon", "created:1"]);
+
+            calls = [];
+            account.name = "Ayon Lee";
+            account.on("get", function (model) {
+                calls.push("get:" + model.name);
+            });
+            yield account.save();
+            // The get event is still emitted when reloading after writing.
+            assert.deepStrictEqual(calls, ["updating:Ayon Lee", "get:Ayon Lee", "updated:Ayon Lee"]);
+
+            calls = [];
+            yield Account.use(db).all();
+            assert.deepStrictEqual(calls, ["retrieved:1"]);
+
+            calls = [];
+            yield account.delete();
+            assert.deepStrictEqual(calls, ["deleting:1", "deleted:1"]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should inherit observers and let them cancel operations", function (done) {
+        calls = [];
+
+        co(function* () {
+            var manager = yield new Manager({ name: "Admin" }).use(db).save();
+            assert.deepStrictEqual(calls, ["creating:Admin", "manager creating:Admin", "created:2"]);
+
+            try {
+                yield manager.delete();
+                throw new Error("Model.delete() should be rejected.");
+            } catch (err) {
+                assert(err instanceof DeletionError);
+                assert.equal(err.message, "The beforeDelete hook of Manager cancelled the operation.");
+            }
+
+            // Observers of a subclass don't affect the parent class.
+            calls = [];
+            yield new Account({ name: "Luna" }).use(db).save();
+            assert.deepStrictEqual(calls, ["creating:Luna", "created:3"]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Table = require("../").Table;
+var Model = require("../").Model;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Model scopes", function () {
+    "use strict";
+
+    class Article extends Model {
+        constructor(data) {
+            super(data, {
+                table: "scoped_articles",
+                primary: "id",
+                fields: ["id", "title", "status", "tenant"]
+            });
+        }
+    }
+
+    Article.scope("published", function (article) {
+        article.where("status", "published");
+    }).scope("titled", function (article, title) {
+        article.where("title", title);
+    }).addGlobalScope("tenant", function (article) {
+        article.where("tenant", 1);
+    });
+
+    class Draft extends Article { }
+
+    Draft.addGlobalScope("draft", function (draft) {
+        draft.where("status", "draft");
+    });
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("scoped_articles").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("title", "varchar", 32);
+        table.addColumn("status", "varchar", 16);
+        table.addColumn("tenant", "int");
+
+        co(function* () {
+            yield table.save();
+            yield db.query("insert into `scoped_articles` (`title`, `status`, `tenant`) values "
+                + "('a', 'published', 1), ('b', 'draft', 1), ('c', 'published', 1), ('d', 'published', 2)");
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    function titles(models) {
+        return models.map(function (model) {
+            return model.title;
+        });
+    }
+
+    it("should chain named scopes from the class and instances", function (done) {
+        co(function* () {
+            var articles = yield Article.published().use(db).all();
+            assert.deepStrictEqual(titles(articles), ["a", "c"]);
+
+            var article = Article.published().where("id", ">", 1).titled("c");
+            assert.equal(article.getSelectSQL(), "select * from `scoped_articles` where `status` = ? and `id` > ? and `title` = ?");
+
+            articles = yield new Article().use(db).titled("a").all();
+            assert.deepStrictEqual(titles(articles), ["a"]);
+
+            assert.strictEqual(typeof Model.published, "undefined");
+            assert.throws(function () {
+                Article.scope("where", function () { });
+            }, /Scope 'where' conflicts with an existing member of Model\./);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should apply global scopes unless they're excluded", function (done) {
+        co(function* () {
+            var articles = yield Article.use(db).where("title", "a").orWhere("title", "d").all();
+            assert.deepStrictEqual(titles(articles), ["a"]);
+
+            assert.strictEqual(yield Article.use(db).count(), 3);
+            assert.strictEqual(yield Article.withoutGlobalScope("tenant").use(db).count(), 4);
+
+            var article = yield Article.withoutGlobalScope().use(db).get(4);
+            assert.equal(article.title, "d");
+
+            // Subclasses inherit global scopes of the parent class.
+            var drafts = yield Draft.use(db).all();
+            assert.deepStrictEqual(titles(drafts), ["b"]);
+
+            drafts = yield Draft.withoutGlobalScope("draft").use(db).all();
+            assert.deepStrictEqual(titles(drafts), ["a", "b", "c"]);
+
+            // Refetching after writing doesn't apply global scopes.
+            var draft = yield Draft.use(db).get(2);
+            yield draft.update({ status: "published" });
+            assert.strictEqual(draft.status, "published");
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model serialization", function () {
+    "use strict";
+
+    class Member extends Model {
+        constructor(data) {
+            super(data, {
+                table: "serialized_members",
+                primary: "id",
+                fields: ["id", "first_name", "last_name", "token", "note"]
+            });
+        }
+
+        get full_name() {
+            return this.first_name + " " + this.last_name;
+        }
+    }
+
+    decorate([modelar.hidden], Member.prototype, "token", null);
+    decorate([modelar.hidden], Member.prototype, "note", null);
+    decorate([modelar.appended], Member.prototype, "full_name", null);
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("serialized_members").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("first_name", "varchar", 32);
+        table.addColumn("last_name", "varchar", 32);
+        table.addColumn("token", "varchar", 32);
+        table.addColumn("note", "varchar", 32);
+
+        co(function* () {
+            yield table.save();
+            yield new Member({ first_name: "Ayon", last_name: "Lee", token: "secret", note: "vip" }).use(db).save();
+            yield new Member({ first_name: "Luna", last_name: "Lee", token: "secret" }).use(db).save();
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should hide fields and append computed properties", function (done) {
+        co(function* () {
+            var member = yield Member.use(db).get(1);
+
+            assert.deepStrictEqual(member.toJSON(), {
+                id: 1,
+                first_name: "Ayon",
+                last_name: "Lee",
+                full_name: "Ayon Lee"
+            });
+            assert.equal(member.toString(), '{"id":1,"first_name":"Ayon","last_name":"Lee","full_name":"Ayon Lee"}');
+
+            var keys = [];
+            for (var item of member) {
+                keys.push(item.key);
+            }
+            assert.deepStrictEqual(keys, ["id", "first_name", "last_name", "full_name"]);
+
+            // The data is still available.
+            assert.strictEqual(member.valueOf().token, "secret");
+            assert.strictEqual(member.token, "secret");
+
+            member.makeVisible("note").makeHidden("last_name", "full_name");
+            assert.deepStrictEqual(member.toJSON(), { id: 1, first_name: "Ayon", note: "vip" });
+
+            // Other instances are not affected.
+            var page = yield Member.use(db).paginate(1, 10);
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(page)), [
+                { id: 1, first_name: "Ayon", last_name: "Lee", full_name: "Ayon Lee" },
+                { id: 2, first_name: "Luna", last_name: "Lee", full_name: "Luna Lee" }
+            ]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should allow fields named after model settings", function (done) {
+        class Widget extends Model {
+            constructor(data) {
+                super(data, {
+                    table: "serialized_widgets",
+                    primary: "id",
+                    fields: ["id", "visible", "hidden", "relations", "secret"],
+                    hidden: ["secret"]
+                });
+            }
+        }
+
+        var table = new Table("serialized_widgets").use(db);
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("visible", "int");
+        table.addColumn("hidden", "int");
+        table.addColumn("relations", "varchar", 32);
+        table.addColumn("secret", "varchar", 32);
+
+        co(function* () {
+            yield table.save();
+
+            var widget = new Widget({ visible: 1, hidden: 0, relations: "none", secret: "key" });
+            assert.strictEqual(widget.visible, 1);
+            assert.strictEqual(widget.relations, "none");
+
+            yield widget.use(db).save();
+            widget = yield Widget.use(db).get(widget.id);
+
+            widget.visible = 0;
+            assert.deepStrictEqual(widget.getDirty(), { visible: 0 });
+            yield widget.save();
+
+            assert.deepStrictEqual(widget.toJSON(), {
+                id: 1,
+                visible: 0,
+                hidden: 0,
+                relations: "none"
+            });
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should only serialize visible fields if they're set", function (done) {
+        var model = new Model(null, {
+            table: "serialized_members",
+            primary: "id",
+            fields: ["id", "first_name", "last_name", "token", "note"],
+            visible: ["id", "first_name"]
+        }).use(db);
+
+        co(function* () {
+            var models = yield model.all();
+            assert.deepStrictEqual(models[1].toJSON(), { id: 2, first_name: "Luna" });
+
+            models[1].makeVisible("last_name");
+            assert.deepStrictEqual(models[1].toJSON(), { id: 2, first_name: "Luna", last_name: "Lee" });
+            assert.deepStrictEqual(models[0].toJSON(), { id: 1, first_name: "Ayon" });
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
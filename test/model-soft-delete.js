@@ -0,0 +1,129 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var NotFoundError = modelar.NotFoundError;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model soft deletes", function () {
+    "use strict";
+
+    class Post extends Model {
+        constructor(data) {
+            super(data, { table: "posts", primary: "id", fields: ["id", "title"] });
+        }
+    }
+
+    decorate([modelar.softDelete], Post.prototype, "deleted_at", null);
+
+    var db;
+
+    beforeEach(function (done) {
+        var table = new Table("posts").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("title", "varchar", 255);
+        table.addColumn("deleted_at", "datetime").default(null);
+
+        table.save().then(function () {
+            return db.query("insert into `posts` (`title`) values ('a'), ('b'), ('c')");
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    afterEach(function () {
+        db.close();
+    });
+
+    it("should mark models as trashed and exclude them when fetching", function (done) {
+        co(function* () {
+            var post = yield Post.use(db).get(2),
+                events = [];
+
+            post.on("delete", function () {
+                events.push("delete");
+            }).on("deleted", function () {
+                events.push("deleted");
+            });
+
+            yield post.delete();
+            assert.deepStrictEqual(events, ["delete", "deleted"]);
+            assert.equal(post.sql, "update `posts` set `deleted_at` = ? where `id` = ?");
+            assert.strictEqual(post.isTrashed, true);
+
+            yield db.query("select count(*) as `num` from `posts`");
+            assert.strictEqual(db.data[0].num, 3);
+
+            var posts = yield Post.use(db).all();
+            assert.deepStrictEqual(posts.map(function (post) {
+                return post.id;
+            }), [1, 3]);
+
+            var query = Post.use(db).where("id", 1).orWhere("id", 2);
+            assert.strictEqual(yield query.count(), 1);
+            assert.equal(query.sql, "select count(*) as `num` from `posts` where (`id` = ? or `id` = ?) and `deleted_at` is null");
+
+            assert.strictEqual(yield Post.use(db).withTrashed().count(), 3);
+            assert.strictEqual((yield Post.use(db).onlyTrashed().all())[0].id, 2);
+
+            var info = yield Post.use(db).paginate(1, 2);
+            assert.strictEqual(info.total, 2);
+            assert.deepStrictEqual(info.data.map(function (post) {
+                return post.id;
+            }), [1, 3]);
+
+            info = yield Post.use(db).where("title", "b").getMany();
+            assert.strictEqual(info.total, 0);
+
+            var chunks = [];
+            yield Post.use(db).chunk(1, function (posts) {
+                chunks.push(posts[0].id);
+            });
+            assert.deepStrictEqual(chunks, [1, 3]);
+
+            try {
+                yield Post.use(db).get(2);
+                throw new Error("Model.get() should be rejected.");
+            } catch (err) {
+                assert(err instanceof NotFoundError);
+            }
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it("should restore and force delete models", function (done) {
+        co(function* () {
+            yield Post.use(db).delete(1);
+
+            var post = yield Post.use(db).withTrashed().get(1),
+                events = [];
+
+            post.on("restore", function () {
+                events.push("restore");
+            }).on("restored", function () {
+                events.push("restored");
+            });
+
+            yield post.restore();
+            assert.deepStrictEqual(events, ["restore", "restored"]);
+            assert.strictEqual(post.isTrashed, false);
+            assert.strictEqual((yield Post.use(db).get(1)).id, 1);
+
+            yield Post.use(db).delete(1);
+            yield Post.use(db).restore(1);
+            assert.strictEqual(yield Post.use(db).count(), 3);
+
+            yield Post.use(db).forceDelete(2);
+            yield Post.use(db).delete(3);
+            yield Post.use(db).forceDelete(3);
+            assert.strictEqual(yield Post.use(db).withTrashed().count(), 1);
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+});
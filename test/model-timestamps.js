@@ -0,0 +1,175 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model timestamps", function () {
+    "use strict";
+
+    class User extends Model {
+        constructor(data) {
+            super(data, {
+                table: "users",
+                primary: "id",
+                fields: ["id", "name", "score", "created_at", "updated_at"],
+                timestamps: true
+            });
+        }
+
+        get roles() {
+            return this.hasVia(Role, "user_role", "role_id", "user_id").withTimestamps();
+        }
+
+        get groups() {
+            return this.hasVia(Role, "user_group", "role_id", "user_id");
+        }
+    }
+
+    class Role extends Model {
+        constructor(data) {
+            super(data, { table: "roles", primary: "id", fields: ["id", "name", "created", "modified"] });
+        }
+    }
+
+    decorate([modelar.createdAt], Role.prototype, "created", null);
+    decorate([modelar.updatedAt], Role.prototype, "modified", null);
+
+    var db;
+
+    function sleep() {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 5);
+        });
+    }
+
+    beforeEach(function (done) {
+        var users = new Table("users").use(db = new DB(config)),
+            roles = new Table("roles").use(db),
+            pivot = new Table("user_role").use(db),
+            groups = new Table("user_group").use(db);
+
+        users.addColumn("id").primary().autoIncrement();
+        users.addColumn("name", "varchar", 32);
+        users.addColumn("score", "int").default(0);
+        users.addColumn("created_at", "datetime").default(null);
+        users.addColumn("updated_at", "datetime").default(null);
+
+        roles.addColumn("id").primary().autoIncrement();
+        roles.addColumn("name", "varchar", 32);
+        roles.addColumn("created", "datetime").default(null);
+        roles.addColumn("modified", "datetime").default(null);
+
+        pivot.addColumn("user_id", "int");
+        pivot.addColumn("role_id", "int");
+        pivot.addColumn("activated", "int").default(0);
+        pivot.addColumn("created_at", "datetime").default(null);
+        pivot.addColumn("updated_at", "datetime").default(null);
+
+        groups.addColumn("user_id", "int");
+        groups.addColumn("role_id", "int");
+
+        co(function* () {
+            yield users.save();
+            yield roles.save();
+            yield pivot.save();
+            yield groups.save();
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    afterEach(function () {
+        db.close();
+    });
+
+    it("should fill timestamps when inserting and updating models", function (done) {
+        co(function* () {
+            var user = new User({ name: "Ayon Lee" }).use(db);
+
+            assert.deepStrictEqual(user.timestamps, { createdAt: "created_at", updatedAt: "updated_at" });
+
+            yield user.save();
+            var createdAt = user.created_at;
+            assert.strictEqual(typeof createdAt, "number");
+            assert.strictEqual(user.updated_at, createdAt);
+
+            yield sleep();
+            user.name = "Luna";
+            yield user.save();
+            assert.strictEqual(user.created_at, createdAt);
+            assert(user.updated_at > createdAt);
+
+            var updatedAt = user.updated_at;
+            yield sleep();
+            yield user.increase("score", 2);
+            assert.strictEqual(user.score, 2);
+            assert(user.updated_at > updatedAt);
+
+            updatedAt = user.updated_at;
+            yield sleep();
+            yield user.decrease("score");
+            assert(user.updated_at > updatedAt);
+
+            updatedAt = user.updated_at;
+            yield sleep();
+            user.name = "Ayon";
+            yield user.withoutTimestamps().save();
+            assert.strictEqual(user.name, "Ayon");
+            assert.strictEqual(user.updated_at, updatedAt);
+
+            var role = new Role({ name: "admin" }).use(db);
+            assert.deepStrictEqual(role.timestamps, { createdAt: "created", updatedAt: "modified" });
+
+            yield role.save();
+            assert.strictEqual(typeof role.created, "number");
+            assert.strictEqual(role.modified, role.created);
+            assert.deepStrictEqual(new Model().timestamps, { createdAt: "", updatedAt: "" });
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it("should fill timestamps of pivot rows written by attach() only if asked", function (done) {
+        co(function* () {
+            var user = yield new User({ name: "Ayon Lee" }).use(db).save(),
+                role1 = yield new Role({ name: "admin" }).use(db).save(),
+                role2 = yield new Role({ name: "tester" }).use(db).save();
+
+            yield user.roles.attach([role1]);
+            yield db.query("select * from `user_role`");
+            var createdAt = db.data[0].created_at;
+            assert.strictEqual(typeof createdAt, "number");
+            assert.strictEqual(db.data[0].updated_at, createdAt);
+
+            yield sleep();
+            var pairs = {};
+            pairs[role1.id] = { activated: 1 };
+            yield user.roles.attach(pairs);
+            yield db.query("select * from `user_role`");
+            assert.strictEqual(db.data[0].created_at, createdAt);
+            assert(db.data[0].updated_at > createdAt);
+
+            yield user.roles.withoutTimestamps().attach([role1, role2]);
+            yield db.query("select * from `user_role` where `role_id` = ?", [role2.id]);
+            assert.strictEqual(db.data[0].created_at, null);
+
+            // Pivot tables don't inherit timestamps from the model.
+            yield user.groups.attach([role1, role2]);
+            yield db.query("select * from `user_group`");
+            assert.deepStrictEqual(db.data, [
+                { user_id: user.id, role_id: role1.id },
+                { user_id: user.id, role_id: role2.id }
+            ]);
+
+            assert.throws(function () {
+                new User().withTimestamps();
+            }, ReferenceError);
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+});
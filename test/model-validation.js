@@ -0,0 +1,178 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var ValidationError = modelar.ValidationError;
+var validators = modelar.validators;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model validation", function () {
+    "use strict";
+
+    class Member extends Model {
+        constructor(data) {
+            super(data, {
+                table: "members",
+                primary: "id",
+                fields: ["id", "name", "email", "role", "code", "age"]
+            });
+        }
+    }
+
+    decorate([modelar.required, modelar.length(1, 8)], Member.prototype, "name", null);
+    decorate([modelar.required, modelar.email, modelar.uniqueIn("members")], Member.prototype, "email", null);
+    decorate([modelar.in(["admin", "user"])], Member.prototype, "role", null);
+    decorate([modelar.match(/^[A-Z]{3}$/, "{field} must be 3 capital letters.")], Member.prototype, "code", null);
+    decorate([modelar.validate(function (value) {
+        return Promise.resolve(value >= 18);
+    }, "{field} must be at least 18.")], Member.prototype, "age", null);
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("members").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32);
+        table.addColumn("email", "varchar", 255);
+        table.addColumn("role", "varchar", 16);
+        table.addColumn("code", "varchar", 16);
+        table.addColumn("age", "int");
+
+        table.save().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should reject with a ValidationError carrying per-field messages", function (done) {
+        var member = new Member({
+            name: "A long name",
+            role: "guest",
+            code: "abc",
+            age: 16
+        }).use(db);
+
+        co(function* () {
+            try {
+                yield member.save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof ValidationError);
+                assert.deepStrictEqual(err.errors, {
+                    name: ["name must be between 1 and 8 characters."],
+                    email: ["email is required."],
+                    role: ["role must be one of admin, user."],
+                    code: ["code must be 3 capital letters."],
+                    age: ["age must be at least 18."]
+                });
+                assert.equal(err.message, [
+                    "name must be between 1 and 8 characters.",
+                    "email is required.",
+                    "role must be one of admin, user.",
+                    "code must be 3 capital letters.",
+                    "age must be at least 18."
+                ].join(" "));
+            }
+
+            assert(member.isNew);
+            assert.strictEqual(yield Member.use(db).count(), 0);
+
+            try {
+                yield member.validate(["email"]);
+                throw new Error("Model.validate() should be rejected.");
+            } catch (err) {
+                assert(err instanceof ValidationError);
+                assert.deepStrictEqual(err.errors, { email: ["email is required."] });
+            }
+
+            member.email = "not an email";
+            try {
+                yield member.validate(["email"]);
+                throw new Error("Model.validate() should be rejected.");
+            } catch (err) {
+                assert.deepStrictEqual(err.errors, {
+                    email: ["email must be a valid email address."]
+                });
+            }
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should validate fields on insert and update and check uniqueness", function (done) {
+        co(function* () {
+            var member = new Member({
+                name: "Ayon",
+                email: "i@hyurl.com",
+                role: "admin"
+            }).use(db);
+
+            assert.strictEqual(yield member.validate(), member);
+            yield member.save();
+            assert.equal(member.id, 1);
+
+            // Saving the model itself doesn't violate the uniqueness.
+            member.email = "i@hyurl.com";
+            member.name = "Ayon Lee";
+            yield member.save();
+            assert.equal(member.name, "Ayon Lee");
+
+            try {
+                yield new Member({ name: "Luna", email: "i@hyurl.com" }).use(db).save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof ValidationError);
+                assert.deepStrictEqual(err.errors, {
+                    email: ["email has already been taken."]
+                });
+            }
+
+            // Only modified fields are validated on update.
+            yield db.query("update `members` set `role` = 'guest' where `id` = 1");
+            member = yield Member.use(db).get(1);
+            member.name = "Ayon";
+            yield member.save();
+
+            try {
+                yield member.update({ name: "" });
+                throw new Error("Model.update() should be rejected.");
+            } catch (err) {
+                assert.deepStrictEqual(err.errors, { name: ["name is required."] });
+            }
+
+            assert.equal((yield Member.use(db).get(1)).name, "Ayon");
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should accept rules from the configuration", function (done) {
+        var model = new Model({ title: "" }, {
+            table: "members",
+            primary: "id",
+            fields: ["id", "title"],
+            rules: {
+                title: [validators.required("A title is needed.")]
+            }
+        });
+
+        model.validate().then(function () {
+            done(new Error("Model.validate() should be rejected."));
+        }).catch(function (err) {
+            assert(err instanceof ValidationError);
+            assert.deepStrictEqual(err.errors, { title: ["A title is needed."] });
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,163 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var StaleModelError = modelar.StaleModelError;
+var UpdateError = modelar.UpdateError;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Model optimistic locking", function () {
+    "use strict";
+
+    class Wallet extends Model {
+        constructor(data) {
+            super(data, {
+                table: "wallets",
+                primary: "id",
+                fields: ["id", "owner", "balance", "version", "deleted_at"],
+                softDelete: "deleted_at"
+            });
+        }
+    }
+
+    decorate([modelar.version], Wallet.prototype, "version", null);
+
+    var db;
+
+    before(function (done) {
+        var table = new Table("wallets").use(db = new DB(config));
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("owner", "varchar", 32);
+        table.addColumn("balance", "int").default(0);
+        table.addColumn("version", "int");
+        table.addColumn("deleted_at", "varchar", 32);
+
+        table.save().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should check and bump the version when writing", function (done) {
+        co(function* () {
+            var wallet = yield new Wallet({ owner: "Ayon" }).use(db).save();
+            assert.strictEqual(wallet.version, 1);
+
+            wallet.balance = 10;
+            yield wallet.save();
+            assert.equal(wallet.sql, "update `wallets` set `balance` = ?, `version` = ? where `id` = ? and `version` = ?");
+            assert.deepStrictEqual(wallet.bindings, [10, 2, 1, 1]);
+            assert.strictEqual(wallet.version, 2);
+
+            yield wallet.increase("balance", 5);
+            assert.equal(wallet.sql, "update `wallets` set `balance` = `balance` + ?, `version` = ? where `id` = ? and `version` = ?");
+            assert.deepStrictEqual(wallet.bindings, [5, 3, 1, 2]);
+            assert.strictEqual(wallet.balance, 15);
+            assert.strictEqual(wallet.version, 3);
+
+            yield wallet.decrease("balance", 5);
+            assert.strictEqual(wallet.version, 4);
+
+            yield wallet.delete();
+            assert.equal(wallet.sql, "update `wallets` set `deleted_at` = ?, `version` = ? where `id` = ? and `version` = ?");
+            assert.strictEqual(wallet.version, 5);
+
+            yield wallet.restore();
+            assert.strictEqual(wallet.version, 6);
+
+            yield wallet.forceDelete();
+            assert.equal(wallet.sql, "delete from `wallets` where `id` = ? and `version` = ?");
+            assert.deepStrictEqual(wallet.bindings, [1, 6]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should keep the version check on models listed by a plain Model", function (done) {
+        var model = new Model(null, {
+            table: "wallets",
+            primary: "id",
+            fields: ["id", "owner", "balance", "version", "deleted_at"],
+            versionKey: "version"
+        }).use(db);
+
+        co(function* () {
+            var wallet = yield new Wallet({ owner: "Mia" }).use(db).save(),
+                listed = (yield model.where("id", wallet.id).all())[0];
+
+            assert.equal(listed.versionKey, "version");
+
+            // Accessors of a plain Model may belong to other fields, so the
+            // data is assigned instead.
+            yield listed.assign({ balance: 50 }).save();
+            assert.equal(listed.sql, "update `wallets` set `balance` = ?, `version` = ? where `id` = ? and `version` = ?");
+            assert.strictEqual(listed.data.version, 2);
+
+            wallet.balance = 60;
+            try {
+                yield wallet.save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof StaleModelError);
+            }
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should reject with a StaleModelError when the version has changed", function (done) {
+        co(function* () {
+            var wallet = yield new Wallet({ owner: "Luna" }).use(db).save(),
+                another = yield Wallet.use(db).get(wallet.id);
+
+            another.balance = 20;
+            yield another.save();
+
+            wallet.balance = 30;
+            try {
+                yield wallet.save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof StaleModelError);
+                assert.equal(err.message, "Wallet " + wallet.id + " has been modified since it was fetched.");
+            }
+
+            for (var method of ["increase", "delete", "forceDelete"]) {
+                try {
+                    yield method == "increase" ? wallet.increase("balance") : wallet[method]();
+                    throw new Error("Model." + method + "() should be rejected.");
+                } catch (err) {
+                    assert(err instanceof StaleModelError, method);
+                }
+            }
+
+            assert.strictEqual((yield Wallet.use(db).get(wallet.id)).balance, 20);
+
+            // The record doesn't exist anymore, it's not a version conflict.
+            yield another.forceDelete();
+            another.balance = 40;
+            try {
+                yield another.save();
+                throw new Error("Model.save() should be rejected.");
+            } catch (err) {
+                assert(err instanceof UpdateError);
+                assert(!(err instanceof StaleModelError));
+            }
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Table = require("../").Table;
+var Model = require("../").Model;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Model.prototype.with()", function () {
+    "use strict";
+
+    class User extends Model {
+        constructor(data) {
+            super(data, { table: "users", primary: "id", fields: ["id", "name"] });
+        }
+    }
+
+    class Article extends Model {
+        constructor(data) {
+            super(data, { table: "articles", primary: "id", fields: ["id", "title", "user_id"] });
+        }
+
+        get user() {
+            return this.belongsTo(User, "user_id");
+        }
+
+        get comments() {
+            return this.has(Comment, "article_id");
+        }
+
+        get tags() {
+            return this.hasVia(Tag, "article_tag", "tag_id", "article_id");
+        }
+
+        get lunaComments() {
+            return this.has(Comment, "article_id").where("user_id", 2).orderBy("id", "desc");
+        }
+
+        get latestComment() {
+            return this.has(Comment, "article_id").orderBy("id", "desc").limit(1);
+        }
+
+        get secondTags() {
+            return this.hasVia(Tag, "article_tag", "tag_id", "article_id").wherePivot("tag_id", 2);
+        }
+    }
+
+    class Comment extends Model {
+        constructor(data) {
+            super(data, { table: "comments", primary: "id", fields: ["id", "content", "article_id", "user_id"] });
+        }
+
+        get user() {
+            return this.belongsTo(User, "user_id");
+        }
+    }
+
+    class Tag extends Model {
+        constructor(data) {
+            super(data, { table: "tags", primary: "id", fields: ["id", "name"] });
+        }
+    }
+
+    function ids(models) {
+        return models.map(function (model) {
+            return model.id;
+        });
+    }
+
+    var db;
+
+    before(function (done) {
+        db = new DB(config);
+
+        var tables = {
+            users: ["name"],
+            articles: ["title", "user_id"],
+            comments: ["content", "article_id", "user_id"],
+            tags: ["name"]
+        };
+
+        co(function* () {
+            for (var name in tables) {
+                var table = new Table(name).use(db);
+                table.addColumn("id").primary().autoIncrement();
+
+                for (var i in tables[name]) {
+                    var field = tables[name][i];
+
+                    if (/_id$/.test(field)) {
+                        table.addColumn(field, "int");
+                    } else {
+                        table.addColumn(field, "varchar", 255);
+                    }
+                }
+
+                yield table.save();
+            }
+
+            var pivot = new Table("article_tag").use(db);
+            pivot.addColumn("article_id", "int");
+            pivot.addColumn("tag_id", "int");
+            yield pivot.save();
+
+            yield db.query("insert into `users` (`name`) values ('Ayon'), ('Luna')");
+            yield db.query("insert into `articles` (`title`, `user_id`) values ('A', 1), ('B', 2), ('C', null)");
+            yield db.query("insert into `comments` (`content`, `article_id`, `user_id`) values ('a1', 1, 2), ('a2', 1, 1), ('b1', 2, 2)");
+            yield db.query("insert into `tags` (`name`) values ('x'), ('y')");
+            yield db.query("insert into `article_tag` values (1, 1), (1, 2), (2, 2)");
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    after(function () {
+        db.close();
+    });
+
+    it("should eager load associations with one query each", function (done) {
+        var queries = [],
+            adapter = db["adapter"],
+            query = adapter.query;
+
+        adapter.query = function (db, sql) {
+            queries.push(sql);
+            return query.apply(this, arguments);
+        };
+
+        Article.use(db).with("user", "comments", "tags").orderBy("id").all().then(function (articles) {
+            assert.deepStrictEqual(queries.length, 5);
+            assert.deepStrictEqual(queries.slice(1), [
+                "select * from `users` where `id` in (?, ?)",
+                "select * from `comments` where `article_id` in (?, ?, ?)",
+                "select `tag_id`, `article_id` from `article_tag` where `article_id` in (?, ?, ?)",
+                "select * from `tags` where `id` in (?, ?)"
+            ]);
+
+            assert.strictEqual(articles[0].relations.user.name, "Ayon");
+            assert.strictEqual(articles[1].relations.user.name, "Luna");
+            assert.strictEqual(articles[2].relations.user, null);
+            assert(articles[0].relations.user instanceof User);
+
+            assert.deepStrictEqual(ids(articles[0].relations.comments), [1, 2]);
+            assert.deepStrictEqual(ids(articles[1].relations.comments), [3]);
+            assert.deepStrictEqual(articles[2].relations.comments, []);
+
+            assert.deepStrictEqual(ids(articles[0].relations.tags), [1, 2]);
+            assert.deepStrictEqual(ids(articles[1].relations.tags), [2]);
+            assert.deepStrictEqual(articles[2].relations.tags, []);
+
+            assert.deepStrictEqual(JSON.parse(articles[1].toString()), {
+                id: 2,
+                title: "B",
+                user_id: 2,
+                user: { id: 2, name: "Luna" },
+                comments: [{ id: 3, content: "b1", article_id: 2, user_id: 2 }],
+                tags: [{ id: 2, name: "y" }]
+            });
+        }).then(function () {
+            delete adapter.query;
+            done();
+        }).catch(function (err) {
+            delete adapter.query;
+            done(err);
+        });
+    });
+
+    it("should eager load nested associations with getMany() and paginate()", function (done) {
+        co(function* () {
+            var info = yield Article.use(db).with("comments.user").getMany({ limit: 2 });
+            assert.strictEqual(info.total, 3);
+            assert.deepStrictEqual(info.data[0].relations.comments.map(function (comment) {
+                return comment.relations.user.name;
+            }), ["Luna", "Ayon"]);
+
+            info = yield Article.use(db).with(["user"]).where("id", ">", 1).paginate(1);
+            assert.deepStrictEqual(info.data.map(function (article) {
+                return article.relations.user && article.relations.user.name;
+            }), ["Luna", null]);
+
+            try {
+                yield Article.use(db).with("author").all();
+                throw new Error("Model.all() should be rejected.");
+            } catch (err) {
+                assert(err instanceof ReferenceError);
+                assert.equal(err.message, "'author' is not an association defined in Article.");
+            }
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it("should keep conditions chained to the association when eager loading", function (done) {
+        co(function* () {
+            var article = yield Article.use(db).get(1);
+            assert.deepStrictEqual(ids(yield article.lunaComments.all()), [1]);
+            assert.deepStrictEqual(ids(yield article.secondTags.all()), [2]);
+
+            var articles = yield Article.use(db).with("lunaComments", "secondTags").orderBy("id").all();
+            assert.deepStrictEqual(ids(articles[0].relations.lunaComments), [1]);
+            assert.deepStrictEqual(ids(articles[1].relations.lunaComments), [3]);
+            assert.deepStrictEqual(articles[2].relations.lunaComments, []);
+            assert.deepStrictEqual(ids(articles[0].relations.secondTags), [2]);
+            assert.deepStrictEqual(ids(articles[1].relations.secondTags), [2]);
+
+            yield db.query("insert into `comments` (`content`, `article_id`, `user_id`) values ('b2', 2, 2)");
+            articles = yield Article.use(db).with("lunaComments").where("id", 2).all();
+            assert.deepStrictEqual(ids(articles[0].relations.lunaComments), [4, 3]);
+            yield db.query("delete from `comments` where `id` = 4");
+
+            try {
+                yield Article.use(db).with("latestComment").all();
+                throw new Error("Model.all() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "Association 'latestComment' can't be eager loaded with an 'or' condition or a limit.");
+            }
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+});
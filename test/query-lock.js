@@ -0,0 +1,63 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Query = require("../").Query;
+var Model = require("../").Model;
+var MockAdapter = require("../").MockAdapter;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Query.prototype.lockForUpdate() and Query.prototype.sharedLock()", function () {
+    it("should generate locking clauses as expected", function () {
+        var db = new DB({ type: "mock" });
+
+        assert.equal(new Query("users").use(db).where("id", 1).lockForUpdate().getSelectSQL(),
+            "select * from `users` where `id` = ? for update");
+        assert.equal(new Query("users").use(db).limit(1).sharedLock().getSelectSQL(),
+            "select * from `users` limit 1 lock in share mode");
+        assert.equal(new Query("users").use(db).lockForUpdate().skipLocked().getSelectSQL(),
+            "select * from `users` for update skip locked");
+        assert.equal(new Query("users").use(db).sharedLock().noWait().getSelectSQL(),
+            "select * from `users` for share nowait");
+
+        // Options imply lockForUpdate().
+        assert.equal(new Query("users").use(db).noWait().getSelectSQL(),
+            "select * from `users` for update nowait");
+    });
+
+    it("should lock rows fetched by models in a transaction", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db),
+            modelConf = { table: "users", primary: "id", fields: ["id", "name"] };
+
+        adapter.respond(/^select/, { data: [{ id: 1, name: "Ayon Lee" }] })
+            .respond(/^select/, { data: [{ id: 1, name: "Ayon Lee" }] });
+
+        co(function* () {
+            yield db.transaction(function (db) {
+                return new Model(null, modelConf).use(db).lockForUpdate().get(1);
+            });
+
+            yield new Model(null, modelConf).use(db).sharedLock().all();
+
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.sql;
+            }), [
+                "begin",
+                "select * from `users` where `id` = ? limit 1 for update",
+                "commit",
+                "select * from `users` lock in share mode"
+            ]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should omit locking clauses in SQLite", function () {
+        var query = new Query("users").set(config);
+
+        query.where("id", 1).lockForUpdate().skipLocked();
+        assert.equal(query.getSelectSQL(), "select * from `users` where `id` = ?");
+    });
+});
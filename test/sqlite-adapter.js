@@ -0,0 +1,163 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Table = require("../").Table;
+var Query = require("../").Query;
+var Model = require("../").Model;
+var SqliteAdapter = require("../").SqliteAdapter;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("SqliteAdapter", function () {
+    it("should be registered for type 'sqlite'", function () {
+        var db = new DB(config);
+
+        assert.strictEqual(DB.adapters.sqlite, SqliteAdapter);
+        assert(db["adapter"] instanceof SqliteAdapter);
+    });
+
+    it("should generate DDL as expected", function () {
+        var table = new Table("articles");
+
+        table.addColumn("id").primary().autoIncrement().notNull();
+        table.addColumn("title", "varchar", 255).unique().notNull().default("It's new");
+        table.addColumn("content", "text");
+        table.addColumn("user_id", "int", 10).default(null).foreignKey("users", "id");
+        table.set(config);
+
+        assert.equal(table.getDDL(), [
+            "create table `articles` (",
+            "\t`id` integer primary key autoincrement not null,",
+            "\t`title` varchar(255) unique not null default 'It''s new',",
+            "\t`content` text,",
+            "\t`user_id` int(10) default null,",
+            "\tconstraint `user_id` foreign key (`user_id`) references `users` (`id`) on delete set null on update no action",
+            ")"
+        ].join("\n"));
+    });
+
+    it("should generate limit and random clauses as expected", function () {
+        var query = new Query("users").set(config);
+
+        query.limit(10, 20).random();
+        assert.equal(query.getSelectSQL(), "select * from `users` order by random() limit 10 offset 20");
+    });
+
+    it("should run statements in an in-memory database as expected", function (done) {
+        var db = new DB(config),
+            table = new Table("users").use(db);
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32).notNull();
+        table.addColumn("email", "varchar", 255).notNull();
+
+        co(function* () {
+            yield table.save();
+
+            var query = new Query("users").use(db);
+            yield query.insert({ name: "Ayon Lee", email: "i@hyurl.com" });
+            assert.equal(query.insertId, 1);
+
+            yield query.insert({ name: "Luna", email: "luna@hyurl.com" });
+            assert.equal(query.insertId, 2);
+
+            query = new Query("users").use(db);
+            yield query.where("id", 2).update({ name: "Luna Lee" });
+            assert.equal(query.affectedRows, 1);
+            assert.equal(query.insertId, 0);
+
+            var users = yield new Query("users").use(db).orderBy("id").all();
+            assert.deepStrictEqual(users, [
+                { id: 1, name: "Ayon Lee", email: "i@hyurl.com" },
+                { id: 2, name: "Luna Lee", email: "luna@hyurl.com" }
+            ]);
+
+            var model = new Model(null, {
+                table: "users",
+                primary: "id",
+                fields: ["id", "name", "email"]
+            }).use(db);
+            yield model.get(1);
+            assert.deepStrictEqual(model.data, { id: 1, name: "Ayon Lee", email: "i@hyurl.com" });
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should share an in-memory database until it's closed", function (done) {
+        var db1 = new DB(config),
+            db2 = new DB(config);
+
+        co(function* () {
+            yield db1.query("create table `t` (`id` integer primary key)");
+            yield db2.query("insert into `t` values (1)");
+            yield db1.query("select * from `t`");
+            assert.deepStrictEqual(db1.data, [{ id: 1 }]);
+
+            db1.close();
+
+            var db3 = new DB(config);
+            yield db3.query("select * from `sqlite_master` where `name` = ?", ["t"]);
+            assert.deepStrictEqual(db3.data, []);
+            db3.close();
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            db1.close();
+            done(err);
+        });
+    });
+
+    it("should make other instances wait for the transaction on the connection", function (done) {
+        var db1 = new DB(config),
+            db2 = new DB(config),
+            steps = [];
+
+        co(function* () {
+            yield db1.query("create table `waiting` (`id` integer primary key)");
+
+            var tx2;
+
+            yield db1.transaction(function (db1) {
+                return db1.query("insert into `waiting` values (1)").then(function () {
+                    assert.strictEqual(db1.inTransaction, true);
+                    assert.strictEqual(db2.inTransaction, false);
+
+                    // Neither joins nor breaks the transaction of db1.
+                    db2.query("insert into `waiting` values (2)").then(function () {
+                        steps.push("db2 inserted");
+                    });
+                    tx2 = db2.transaction(function (db2) {
+                        steps.push("db2 began:" + db2.inTransaction);
+                        return db2.query("insert into `waiting` values (3)");
+                    });
+
+                    return new Promise(function (resolve) {
+                        setTimeout(resolve, 20);
+                    });
+                }).then(function () {
+                    steps.push("db1 rolling back");
+                    throw new Error("Rolled back.");
+                });
+            }).catch(function (err) {
+                assert.equal(err.message, "Rolled back.");
+            });
+
+            yield tx2;
+
+            assert.deepStrictEqual(steps, ["db1 rolling back", "db2 inserted", "db2 began:true"]);
+
+            yield db1.query("select * from `waiting` order by `id`");
+            assert.deepStrictEqual(db1.data, [{ id: 2 }, { id: 3 }]);
+        }).then(function () {
+            db1.close();
+            done();
+        }).catch(function (err) {
+            db1.close();
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+var assert = require("assert");
+var DB = require("../").DB;
+var Table = require("../").Table;
+var Query = require("../").Query;
+var MockAdapter = require("../").MockAdapter;
+var config = require("./config/sqlite");
+var co = require("co");
+
+describe("Table.prototype.alter()", function () {
+    it("should generate ALTER statements as expected", function () {
+        var table = new Table("articles").use(new DB({ type: "mock" }));
+
+        table["_altering"] = true;
+        table.addColumn("summary", "varchar", 255).notNull().default("");
+        table.modifyColumn("title", "varchar", 128).unique().notNull();
+        table.renameColumn("content", "body");
+        table.dropColumn("views");
+        table.addForeignKey("user_id", "users", "id", "cascade");
+        table.dropForeignKey("category_id");
+
+        assert.deepStrictEqual(table.getAlterDDL(), [
+            "alter table `articles` add column `summary` varchar(255) not null default ''",
+            "alter table `articles` modify column `title` varchar(128) unique not null",
+            "alter table `articles` rename column `content` to `body`",
+            "alter table `articles` drop column `views`",
+            "alter table `articles` add constraint `user_id` foreign key (`user_id`) references `users` (`id`) on delete cascade on update no action",
+            "alter table `articles` drop foreign key `category_id`"
+        ]);
+    });
+
+    it("should keep the definition of a column renamed after adding or modifying it", function () {
+        var table = new Table("articles").use(new DB({ type: "mock" }));
+
+        table["_altering"] = true;
+        table.addColumn("summary", "varchar", 255).notNull();
+        table.renameColumn("summary", "excerpt");
+        table.modifyColumn("title", "varchar", 128);
+        table.renameColumn("title", "headline");
+
+        assert.deepStrictEqual(table.getAlterDDL(), [
+            "alter table `articles` add column `summary` varchar(255) not null",
+            "alter table `articles` rename column `summary` to `excerpt`",
+            "alter table `articles` modify column `title` varchar(128)",
+            "alter table `articles` rename column `title` to `headline`"
+        ]);
+    });
+
+    it("should apply alterations defined in the callback function", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        new Table("users").use(db).alter(function (table) {
+            assert.strictEqual(this, table);
+            table.addColumn("age", "int").default(null);
+            table.renameColumn("name", "username");
+        }).then(function (table) {
+            assert.deepStrictEqual(adapter.records, [{
+                sql: "alter table `users` add column `age` int default null",
+                bindings: []
+            }, {
+                sql: "alter table `users` rename column `name` to `username`",
+                bindings: []
+            }]);
+            assert.deepStrictEqual(table["_alters"], []);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+
+    it("should alter a table in an SQLite database", function (done) {
+        var db = new DB(config),
+            table = new Table("users").use(db);
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32).notNull();
+        table.addColumn("score", "int");
+
+        co(function* () {
+            yield table.save();
+            yield new Query("users").use(db).insert({ name: "Ayon Lee", score: 60 });
+
+            yield new Table("users").use(db).alter(function (table) {
+                table.addColumn("email", "varchar", 255).default("");
+                table.renameColumn("name", "username");
+                table.dropColumn("score");
+            });
+
+            var users = yield new Query("users").use(db).all();
+            assert.deepStrictEqual(users, [{ id: 1, username: "Ayon Lee", email: "" }]);
+
+            try {
+                yield new Table("users").use(db).alter(function (table) {
+                    table.modifyColumn("username", "varchar", 64);
+                });
+                throw new Error("Table.alter() should be rejected.");
+            } catch (err) {
+                assert.equal(err.message, "SQLite doesn't support the 'modify' alteration on an existing column.");
+            }
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+});
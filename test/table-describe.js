@@ -0,0 +1,126 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var MockAdapter = modelar.MockAdapter;
+var NotFoundError = modelar.NotFoundError;
+var FieldConfig = modelar.FieldConfig;
+var ForeignKeyConfig = modelar.ForeignKeyConfig;
+var assign = require("lodash/assign");
+var config = require("./config/sqlite");
+var co = require("co");
+
+function field(config) {
+    return assign({}, FieldConfig, config);
+}
+
+describe("Table.prototype.describe()", function () {
+    it("should read a table back from an SQLite database", function (done) {
+        var db = new DB(config),
+            users = new Table("users").use(db),
+            articles = new Table("articles").use(db);
+
+        users.addColumn("id").primary().autoIncrement();
+        users.addColumn("name", "varchar", 32).notNull().unique();
+
+        articles.addColumn("id").primary().autoIncrement();
+        articles.addColumn("title", "varchar", 255).notNull().default("It's new");
+        articles.addColumn("price", "decimal", [10, 2]).default(0);
+        articles.addColumn("user_id", "int", 10).default(null).foreignKey("users", "id", "cascade");
+        articles.uniqueIndex(["user_id", "title"]);
+        articles.index("price", "price_index");
+
+        co(function* () {
+            yield users.save();
+            yield articles.save();
+            // Expression indexes are left out.
+            yield db.query("create index `articles_lower_title` on `articles` (lower(`title`))");
+
+            var table = yield new Table("articles").use(db).describe();
+
+            assert.deepStrictEqual(table.schema, {
+                id: field({ name: "id", type: "integer", primary: true, autoIncrement: [1, 1] }),
+                title: field({ name: "title", type: "varchar", length: 255, notNull: true, default: "It's new" }),
+                price: field({ name: "price", type: "decimal", length: [10, 2], default: 0 }),
+                user_id: field({
+                    name: "user_id",
+                    type: "int",
+                    length: 10,
+                    default: null,
+                    foreignKey: assign({}, ForeignKeyConfig, { table: "users", field: "id", onDelete: "cascade" })
+                })
+            });
+            assert.deepStrictEqual(table.indexes, [
+                { type: "index", name: "price_index", fields: ["price"] },
+                { type: "unique", fields: ["user_id", "title"] }
+            ]);
+
+            var tables = yield db.getTables();
+            assert.deepStrictEqual(tables.map(function (table) {
+                return table.name;
+            }), ["articles", "users"]);
+            assert.strictEqual(tables[1].schema.name.unique, true);
+
+            try {
+                yield new Table("nothing").use(db).describe();
+                throw new Error("Table.describe() should be rejected.");
+            } catch (err) {
+                assert(err instanceof NotFoundError);
+                assert.equal(err.message, "Table 'nothing' doesn't exist.");
+            }
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should read a table back from the MySQL information schema", function (done) {
+        var db = new DB({ type: "mock" }),
+            adapter = MockAdapter.of(db);
+
+        adapter.respond(/`information_schema`.`columns`/, {
+            data: [
+                { name: "id", type: "int(10) unsigned", nullable: "NO", default: null, extra: "auto_increment", comment: "" },
+                { name: "email", type: "varchar(255)", nullable: "NO", default: "", extra: "", comment: "Login name" },
+                { name: "score", type: "int(11)", nullable: "YES", default: "0", extra: "", comment: "" },
+                { name: "region_id", type: "int(11)", nullable: "YES", default: null, extra: "", comment: "" }
+            ]
+        }).respond(/`key_column_usage`/, {
+            data: [
+                { name: "region_id", table: "regions", field: "id", onDelete: "SET NULL", onUpdate: "NO ACTION" }
+            ]
+        }).respond(/`statistics`/, {
+            data: [
+                { name: "PRIMARY", nonUnique: 0, field: "id" },
+                { name: "email", nonUnique: 0, field: "email" },
+                { name: "region_id", nonUnique: 1, field: "region_id" }
+            ]
+        });
+
+        new Table("users3").use(db).describe().then(function (table) {
+            assert.deepStrictEqual(table.schema, {
+                id: field({ name: "id", type: "int", length: 10, unsigned: true, notNull: true, primary: true, autoIncrement: [1, 1] }),
+                email: field({ name: "email", type: "varchar", length: 255, notNull: true, unique: true, default: "", comment: "Login name" }),
+                score: field({ name: "score", type: "int", length: 11, default: 0 }),
+                region_id: field({
+                    name: "region_id",
+                    type: "int",
+                    length: 11,
+                    default: null,
+                    foreignKey: assign({}, ForeignKeyConfig, { table: "regions", field: "id" })
+                })
+            });
+            assert.deepStrictEqual(table.indexes, []);
+            assert.deepStrictEqual(adapter.records.map(function (record) {
+                return record.bindings;
+            }), [["users3"], ["users3"], ["users3"]]);
+        }).then(function () {
+            done();
+        }).catch(function (err) {
+            done(err);
+        });
+    });
+});
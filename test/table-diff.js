@@ -0,0 +1,191 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Table.prototype.diff()", function () {
+    it("should compare a model class to the table in an SQLite database", function (done) {
+        "use strict";
+
+        class Article extends Model {
+            constructor(data) {
+                super(data, { table: "articles", primary: "id", fields: ["id", "title", "content", "views", "user_id"] });
+            }
+        }
+
+        decorate([modelar.primary, modelar.autoIncrement], Article.prototype, "id", null);
+        decorate([modelar.field("varchar", 255), modelar.notNull], Article.prototype, "title", null);
+        decorate([modelar.field("int"), modelar.defaultValue(0)], Article.prototype, "views", null);
+        decorate([modelar.foreignKey("users", "id"), modelar.field("int")], Article.prototype, "user_id", null);
+
+        var db = new DB(config),
+            table = new Table("articles").use(db);
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("title", "varchar", 128).notNull();
+        table.addColumn("content", "text");
+        table.addColumn("user_id", "int").default(null);
+        table.addColumn("legacy", "int");
+
+        co(function* () {
+            var diff = yield Article.use(db).diff();
+            assert.deepStrictEqual(diff, {
+                exists: false,
+                missing: ["id", "title", "views", "user_id"],
+                extra: [],
+                mismatched: [],
+                missingIndexes: [],
+                extraIndexes: []
+            });
+
+            yield table.save();
+
+            diff = yield Article.use(db).diff();
+            assert.deepStrictEqual(diff, {
+                exists: true,
+                missing: ["views"],
+                extra: ["legacy"],
+                mismatched: [{
+                    field: "title",
+                    property: "length",
+                    expected: 255,
+                    actual: 128
+                }, {
+                    field: "user_id",
+                    property: "foreignKey",
+                    expected: { table: "users", field: "id", onDelete: "set null", onUpdate: "no action" },
+                    actual: null
+                }],
+                missingIndexes: [],
+                extraIndexes: []
+            });
+
+            diff = yield Article.use(db).diff({ statements: true });
+            assert.deepStrictEqual(diff.statements, [
+                "alter table `articles` add column `views` int default 0",
+                "alter table `articles` drop column `legacy`"
+            ]);
+            assert.deepStrictEqual(diff.unsupported, [{
+                field: "title",
+                reason: "SQLite doesn't support the 'modify' alteration on an existing column."
+            }, {
+                field: "user_id",
+                reason: "SQLite doesn't support the 'addForeignKey' alteration on an existing column."
+            }]);
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should produce ALTER statements that reconcile the table", function (done) {
+        var db = new DB(config),
+            table = new Table("users").use(db),
+            expected = new Table("users").use(db);
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("name", "varchar", 32).notNull();
+        table.addColumn("score", "int");
+
+        expected.addColumn("id").primary().autoIncrement();
+        expected.addColumn("name", "varchar", 32).notNull();
+        expected.addColumn("email", "varchar", 255).notNull().default("");
+
+        co(function* () {
+            var diff = yield expected.diff({ statements: true });
+            assert.strictEqual(diff.exists, false);
+            assert.deepStrictEqual(diff.statements, [expected.getDDL()]);
+
+            yield table.save();
+
+            diff = yield expected.diff({ statements: true });
+            assert.deepStrictEqual(diff, {
+                exists: true,
+                missing: ["email"],
+                extra: ["score"],
+                mismatched: [],
+                missingIndexes: [],
+                extraIndexes: [],
+                statements: [
+                    "alter table `users` add column `email` varchar(255) not null default ''",
+                    "alter table `users` drop column `score`"
+                ],
+                unsupported: []
+            });
+
+            for (var i in diff.statements) {
+                yield db.query(diff.statements[i]);
+            }
+
+            diff = yield expected.diff();
+            assert.deepStrictEqual(diff, {
+                exists: true,
+                missing: [],
+                extra: [],
+                mismatched: [],
+                missingIndexes: [],
+                extraIndexes: []
+            });
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+
+    it("should compare the indexes of the table", function (done) {
+        var db = new DB(config),
+            table = new Table("posts").use(db),
+            expected = new Table("posts").use(db);
+
+        table.addColumn("id").primary().autoIncrement();
+        table.addColumn("title", "varchar", 255);
+        table.addColumn("slug", "varchar", 255);
+        table.index(["title"]);
+
+        expected.addColumn("id").primary().autoIncrement();
+        expected.addColumn("title", "varchar", 255);
+        expected.addColumn("slug", "varchar", 255);
+        expected.uniqueIndex(["title", "slug"]);
+
+        co(function* () {
+            yield table.save();
+
+            var diff = yield expected.diff({ statements: true });
+            assert.deepStrictEqual(diff.missingIndexes, [
+                { type: "unique", fields: ["title", "slug"] }
+            ]);
+            assert.deepStrictEqual(diff.extraIndexes, [
+                { name: "posts_title_index", type: "index", fields: ["title"] }
+            ]);
+            assert.deepStrictEqual(diff.statements, [
+                "drop index `posts_title_index`",
+                "create unique index `posts_title_slug_unique` on `posts` (`title`, `slug`)"
+            ]);
+            assert.deepStrictEqual(diff.unsupported, []);
+
+            for (var i in diff.statements) {
+                yield db.query(diff.statements[i]);
+            }
+
+            diff = yield expected.diff();
+            assert.deepStrictEqual(diff.missingIndexes, []);
+            assert.deepStrictEqual(diff.extraIndexes, []);
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+var assert = require("assert");
+var modelar = require("../");
+var DB = modelar.DB;
+var Table = modelar.Table;
+var Model = modelar.Model;
+var config = require("./config/sqlite");
+var decorate = require("tslib").__decorate;
+var co = require("co");
+
+describe("Table indexes and constraints", function () {
+    it("should generate DDL with indexes and constraints as expected", function () {
+        var table = new Table("user_role");
+
+        table.addColumn("user_id", "int").notNull();
+        table.addColumn("role_id", "int").notNull();
+        table.addColumn("code", "varchar", 32).notNull();
+        table.addColumn("activated", "int").default(null);
+        table.primaryKey(["user_id", "role_id"]);
+        table.uniqueIndex("code");
+        table.uniqueIndex(["role_id", "code"], "role_code");
+        table.index(["activated", "role_id"]);
+
+        assert.equal(table.getDDL(), [
+            "create table `user_role` (",
+            "\t`user_id` int not null,",
+            "\t`role_id` int not null,",
+            "\t`code` varchar(32) not null,",
+            "\t`activated` int default null,",
+            "\tprimary key (`user_id`, `role_id`),",
+            "\tconstraint `user_role_code_unique` unique (`code`),",
+            "\tconstraint `role_code` unique (`role_id`, `code`)",
+            ") engine=InnoDB default charset=utf8;",
+            "create index `user_role_activated_role_id_index` on `user_role` (`activated`, `role_id`)"
+        ].join("\n"));
+    });
+
+    it("should define indexes and constraints with class decorators", function () {
+        "use strict";
+
+        class UserRole extends Model {
+            constructor(data) {
+                super(data, { table: "user_role", primary: "", fields: ["user_id", "role_id"] });
+            }
+        }
+
+        decorate([
+            modelar.primaryKey(["user_id", "role_id"], "pk_user_role"),
+            modelar.index("role_id")
+        ], UserRole);
+
+        var model = new UserRole(),
+            table = new Table(model);
+
+        assert.deepStrictEqual(model.indexes, [
+            { type: "index", fields: ["role_id"] },
+            { name: "pk_user_role", type: "primary", fields: ["user_id", "role_id"] }
+        ]);
+        assert.deepStrictEqual(table.indexes, model.indexes);
+        assert.notStrictEqual(table.indexes, model.indexes);
+        assert.deepStrictEqual(new Model().indexes, []);
+    });
+
+    it("should enforce constraints in an SQLite database", function (done) {
+        var db = new DB(config),
+            table = new Table("user_role").use(db);
+
+        table.addColumn("user_id", "int").notNull();
+        table.addColumn("role_id", "int").notNull();
+        table.primaryKey(["user_id", "role_id"]);
+        table.index("role_id");
+
+        co(function* () {
+            yield table.save();
+            yield db.query("select `name` from `sqlite_master` where `type` = ? and `tbl_name` = ? and `sql` is not null", ["index", "user_role"]);
+            assert.deepStrictEqual(db.data, [{ name: "user_role_role_id_index" }]);
+
+            yield db.query("insert into `user_role` values (1, 1)");
+            yield db.query("insert into `user_role` values (1, 2)");
+
+            try {
+                yield db.query("insert into `user_role` values (1, 1)");
+                throw new Error("The composite primary key should be enforced.");
+            } catch (err) {
+                assert(/UNIQUE constraint failed/.test(err.message));
+            }
+        }).then(function () {
+            db.close();
+            done();
+        }).catch(function (err) {
+            db.close();
+            done(err);
+        });
+    });
+});